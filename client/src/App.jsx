@@ -1,14 +1,60 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import HistoryPanel from './HistoryPanel.jsx';
+import HealthBanner from './HealthBanner.jsx';
+import FileDropZone, { isSubtitleFile } from './FileDropZone.jsx';
+import BatchView from './BatchView.jsx';
+import ChatPanel from './ChatPanel.jsx';
+import TranscriptPanel from './TranscriptPanel.jsx';
+import { formatDuration } from './time.js';
+
+const API_BASE_URL = 'http://localhost:3001';
+// localStorage key holding the job that is still being followed (survives page reloads)
+const ACTIVE_JOB_STORAGE_KEY = 'summarizer.activeJobId';
+
+// Download formats of GET /api/summaries/:id/export
+const exportFormats = [
+  { id: 'md', label: 'Markdown', title: 'Metadata, summary and transcript as Markdown' },
+  { id: 'html', label: 'HTML', title: 'Standalone web page (right-to-left for Hebrew and Arabic)' },
+  { id: 'json', label: 'JSON', title: 'Everything, including the timed transcript segments' },
+  { id: 'srt', label: 'SRT', title: 'Transcript as SRT subtitles' },
+  { id: 'vtt', label: 'VTT', title: 'Transcript as WebVTT subtitles, with the summary in NOTE blocks' }
+];
 
 function App() {
   const [youtubeUrl, setYoutubeUrl] = useState('');
-  const [language, setLanguage] = useState('en');
+  const [uploadFile, setUploadFile] = useState(null); // Local audio/video file, used instead of the URL when set
+  // Uploaded subtitles can still name their YouTube video (for its title, chapters and timestamp links)
+  const uploadingSubtitles = isSubtitleFile(uploadFile);
+  const [sourceLanguage, setSourceLanguage] = useState('auto'); // Spoken in the video ('auto' = detect it)
+  const [summaryLanguage, setSummaryLanguage] = useState('en');
   const [forceAudioDownload, setForceAudioDownload] = useState(false);
+  const [batchMode, setBatchMode] = useState(false); // Summarize every video of a playlist/channel URL
+  // Batch being followed: { playlist, items, progress, message, digest, ... } (null for single videos)
+  const [batch, setBatch] = useState(null);
+  const [refresh, setRefresh] = useState(false);
+  const [summaryMode, setSummaryMode] = useState('standard');
+  const [template, setTemplate] = useState(''); // Prompt template ID for standard summaries ('' = built-in prompt)
+  const [templates, setTemplates] = useState([]); // GET /api/templates
+  const [summaryModel, setSummaryModel] = useState(''); // '' = server default
+  const [whisperModel, setWhisperModel] = useState('');
+  const [models, setModels] = useState(null); // GET /api/models response
+  const [health, setHealth] = useState(null); // GET /api/health response
+  const [healthError, setHealthError] = useState(null);
+  const [healthChecking, setHealthChecking] = useState(false);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const eventSourceRef = useRef(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [historyQuery, setHistoryQuery] = useState('');
+  const [historySemantic, setHistorySemantic] = useState(false); // Search by meaning (GET /api/search)
+  const [searchResults, setSearchResults] = useState(null); // Passages found by meaning (null = list summaries)
   const [progress, setProgress] = useState({
-    download: 'grey', // grey, orange, green, skipped
+    download: 'grey', // grey, orange, green, skipped, cached
     transcribe: 'grey',
     summarize: 'grey'
   });
@@ -17,6 +63,8 @@ function App() {
     transcribe: '',
     summarize: ''
   });
+  // Live whisper-cli progress: { percent, latestText } while audio is being transcribed
+  const [transcribeProgress, setTranscribeProgress] = useState(null);
 
   const languages = [
     { code: 'en', name: 'English' },
@@ -33,16 +81,11 @@ function App() {
     { code: 'ar', name: 'Arabic', rtl: true }
   ];
 
-  // Check if current language is RTL
-  const isRTL = languages.find(l => l.code === language)?.rtl || false;
+  // Check if the summary language is RTL
+  const isRTL = languages.find(l => l.code === summaryLanguage)?.rtl || false;
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError(null);
-    setResult({}); // Initialize as empty object to allow incremental updates
-    
-    // Reset progress
+  // Reset the stage cards before following a job
+  const resetProgress = () => {
     setProgress({
       download: 'grey',
       transcribe: 'grey',
@@ -53,147 +96,454 @@ function App() {
       transcribe: '',
       summarize: ''
     });
+    setTranscribeProgress(null);
+  };
+
+  // Apply one event from a batch job's stream (playlist, per-video and overall progress, digest)
+  const handleBatchEvent = (data) => {
+    setBatch(prev => {
+      const current = prev || { playlist: null, items: [], progress: null, message: '', digest: '' };
+      switch (data.stage) {
+        case 'playlist':
+          return data.items
+            ? { ...current, playlist: data.playlist, items: data.items, message: data.message }
+            : { ...current, message: data.message };
+        case 'item':
+          return { ...current, items: current.items.map(item => (item.index === data.item.index ? data.item : item)) };
+        case 'batch':
+          return {
+            ...current,
+            message: data.message,
+            progress: { total: data.total, completed: data.completed, failed: data.failed, percent: data.percent }
+          };
+        case 'digest':
+          if (data.delta) {
+            return { ...current, digest: current.digest + data.delta, digestStreaming: true };
+          }
+          // Replayed after a reconnect: the whole digest streamed so far
+          if (data.streamedText !== undefined) {
+            return { ...current, digest: data.streamedText, digestStreaming: true };
+          }
+          return data.digest
+            ? { ...current, digest: data.digest, digestStreaming: false, digestFilePath: data.digestFilePath, digestMessage: data.message }
+            : { ...current, digestMessage: data.message };
+        default: // 'complete'
+          return {
+            ...current,
+            playlist: data.playlist,
+            items: data.items,
+            progress: { total: data.total, completed: data.completed, failed: data.failed, percent: data.percent },
+            message: '',
+            digest: data.digest,
+            digestStreaming: false,
+            digestFilePath: data.digestFilePath,
+            language: data.language
+          };
+      }
+    });
+    if (data.stage === 'complete') {
+      loadHistory(historyQuery, historySemantic);
+    }
+  };
+
+  // Apply one progress event from the job stream to the UI state
+  const handleProgressEvent = (data) => {
+    if (['playlist', 'item', 'batch', 'digest'].includes(data.stage) || (data.stage === 'complete' && data.playlist)) {
+      handleBatchEvent(data);
+      return;
+    }
+    
+    if (data.stage === 'error' || data.status === 'error') {
+      setError(data.message || data.error || 'Failed to process video');
+      return;
+    }
+    
+    if (data.stage === 'cancelled') {
+      setError(data.message || 'Job cancelled');
+      return;
+    }
+    
+    if (data.warning) {
+      setWarning(data.warning);
+    }
+    
+    if (data.stage === 'metadata') {
+      setResult(prev => ({ ...prev, metadata: data.metadata }));
+      return;
+    }
+    
+    if (data.stage === 'queued') {
+      setProgressMessages(prev => ({
+        ...prev,
+        download: data.message || ''
+      }));
+      return;
+    }
+    
+    if (data.stage === 'complete' && data.status === 'success') {
+      // Final result - merge with existing result to preserve incremental updates
+      setResult(prev => ({ ...prev, ...data }));
+      loadHistory(historyQuery, historySemantic);
+      // Mark everything done, but keep showing which stages came from the cache
+      const done = (status) => status === 'cached' ? 'cached' : 'green';
+      setProgress(prev => ({
+        download: done(prev.download),
+        transcribe: done(prev.transcribe),
+        summarize: done(prev.summarize)
+      }));
+      return;
+    }
+    
+    // Update progress based on stage
+    if (data.stage === 'download') {
+      const status = data.status === 'completed' ? 'green' : 
+                    data.status === 'processing' ? 'orange' : 
+                    data.status === 'skipped' ? 'skipped' : 
+                    data.status === 'cached' ? 'cached' : 'grey';
+      setProgress(prev => ({
+        ...prev,
+        download: status
+      }));
+      setProgressMessages(prev => ({
+        ...prev,
+        download: data.message || ''
+      }));
+      if (data.audioPath) {
+        setResult(prev => ({ ...prev, audioPath: data.audioPath }));
+      }
+    } else if (data.stage === 'transcribe') {
+      const status = data.status === 'completed' ? 'green' : 
+                    data.status === 'processing' ? 'orange' : 
+                    data.status === 'skipped' ? 'skipped' : 
+                    data.status === 'cached' ? 'cached' : 'grey';
+      setProgress(prev => ({
+        ...prev,
+        transcribe: status
+      }));
+      setProgressMessages(prev => ({
+        ...prev,
+        transcribe: data.message || ''
+      }));
+      setTranscribeProgress(data.status === 'processing' && typeof data.percent === 'number'
+        ? { percent: data.percent, latestText: data.latestText || '' }
+        : null);
+      if (data.transcriptFilePath) {
+        setResult(prev => ({ ...prev, transcriptFilePath: data.transcriptFilePath }));
+      }
+      if (data.segmentsFilePath) {
+        setResult(prev => ({ ...prev, segmentsFilePath: data.segmentsFilePath }));
+      }
+      if (data.usedYouTubeTranscript) {
+        setResult(prev => ({ ...prev, usedYouTubeTranscript: true }));
+      }
+    } else if (data.stage === 'summarize') {
+      // Streamed text of the summary being written - append it and keep the current stage message
+      if (data.delta) {
+        setResult(prev => ({ ...prev, summary: (prev?.summary || '') + data.delta, summaryStreaming: true }));
+        return;
+      }
+      // Replayed after a reconnect: the whole summary streamed so far
+      if (data.streamedText !== undefined) {
+        setResult(prev => ({ ...prev, summary: data.streamedText, summaryStreaming: true }));
+        return;
+      }
+      setProgress(prev => ({
+        ...prev,
+        summarize: data.status === 'completed' ? 'green' : 
+                   data.status === 'processing' ? 'orange' : 
+                   data.status === 'cached' ? 'cached' : 'grey'
+      }));
+      setProgressMessages(prev => ({
+        ...prev,
+        summarize: data.message || ''
+      }));
+      if (data.summaryFilePath) {
+        setResult(prev => ({ ...prev, summaryFilePath: data.summaryFilePath }));
+      }
+      // Update summary if provided in progress update
+      if (data.summary) {
+        setResult(prev => ({ ...prev, summary: data.summary, chapterSummary: data.chapterSummary || null, summaryStreaming: false }));
+      }
+    }
+  };
+
+  // Follow a job's progress stream. The server replays past events, so this also
+  // restores the progress view after a page reload.
+  const followJob = (id) => {
+    eventSourceRef.current?.close();
+    
+    const eventSource = new EventSource(`${API_BASE_URL}/api/jobs/${id}/events`);
+    eventSourceRef.current = eventSource;
+    localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, id);
+    setJobId(id);
+    setLoading(true);
+    
+    const stopFollowing = () => {
+      eventSource.close();
+      eventSourceRef.current = null;
+      localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+      setJobId(null);
+      setLoading(false);
+    };
+    
+    eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        handleProgressEvent(data);
+        if (['complete', 'error', 'cancelled'].includes(data.stage)) {
+          stopFollowing();
+        }
+      } catch (parseError) {
+        console.error('Error parsing SSE data:', parseError, event.data);
+      }
+    };
+    
+    eventSource.onerror = () => {
+      // EventSource reconnects by itself (resuming after the last event ID).
+      // CLOSED means the server refused the stream - the job expired or the server restarted.
+      if (eventSource.readyState === EventSource.CLOSED) {
+        stopFollowing();
+        setError('Lost track of the job. It may have expired or the server was restarted.');
+      }
+    };
+  };
+
+  // Load the summaries library (optionally filtered by a full-text query),
+  // or with `semantic` the transcript passages closest in meaning to the query
+  const loadHistory = async (query = '', semantic = false) => {
+    setHistoryLoading(true);
+    try {
+      if (semantic && query) {
+        const response = await fetch(`${API_BASE_URL}/api/search?${new URLSearchParams({ q: query })}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Search failed');
+        }
+        setSearchResults(data.results);
+        setHistoryError(null);
+        return;
+      }
+      
+      setSearchResults(null);
+      const params = new URLSearchParams(query ? { q: query } : {});
+      const response = await fetch(`${API_BASE_URL}/api/summaries?${params}`);
+      if (!response.ok) {
+        throw new Error('Failed to load history');
+      }
+      const data = await response.json();
+      setHistory(data.summaries);
+      setHistoryError(null);
+    } catch (err) {
+      console.error('Error loading history:', err);
+      setHistoryError(err.message);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // Probe the server's external dependencies (yt-dlp, ffmpeg, whisper-cli, LLM, models).
+  // The endpoint answers 503 when something required is missing, but the body is the same report.
+  const checkHealth = async () => {
+    setHealthChecking(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/health`);
+      setHealth(await response.json());
+      setHealthError(null);
+    } catch (err) {
+      console.error('Error checking health:', err);
+      setHealth(null);
+      setHealthError(`The server at ${API_BASE_URL} is not responding. Start it with: cd server && npm start`);
+    } finally {
+      setHealthChecking(false);
+    }
+  };
 
+  useEffect(() => {
+    checkHealth();
+  }, []);
+
+  // Installed LLM and Whisper models for the model pickers
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/models`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(setModels)
+      .catch(err => console.error('Error loading models:', err));
+  }, []);
+
+  // Prompt templates for the summary style picker
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/templates`)
+      .then(response => (response.ok ? response.json() : { templates: [] }))
+      .then(data => setTemplates(data.templates))
+      .catch(err => console.error('Error loading templates:', err));
+  }, []);
+
+  // Reload history as the search query changes (debounced so typing doesn't flood the server)
+  useEffect(() => {
+    const timeout = setTimeout(() => loadHistory(historyQuery, historySemantic), historyQuery ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [historyQuery, historySemantic]);
+
+  // Reopen a previous summary in the result view (with the full transcript)
+  const openHistoryEntry = async (id) => {
+    if (loading) return;
+    
     try {
-      // Use EventSource for Server-Sent Events (SSE) to get real-time progress
-      const response = await fetch('http://localhost:3001/api/summarize', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          youtubeUrl,
-          language,
-          forceAudioDownload
-        })
+      const response = await fetch(`${API_BASE_URL}/api/summaries/${id}`);
+      if (!response.ok) {
+        throw new Error('Failed to load summary');
+      }
+      const entry = await response.json();
+      
+      setError(null);
+      setWarning(null);
+      setProgress({
+        download: 'green',
+        transcribe: 'green',
+        summarize: 'green'
+      });
+      setResult({
+        summaryId: entry.id,
+        videoId: entry.videoId,
+        sourceId: entry.sourceId,
+        sourceUrl: entry.sourceUrl,
+        extractor: entry.extractor,
+        fileName: entry.fileName,
+        metadata: entry.metadata || (entry.title ? { title: entry.title } : null),
+        language: entry.language,
+        sourceLanguage: entry.sourceLanguage,
+        sourceLanguageDetected: entry.sourceLanguageDetected,
+        usedYouTubeTranscript: entry.usedYouTubeTranscript,
+        transcriptSource: entry.transcriptSource,
+        summary: entry.summary,
+        chapterSummary: entry.chapterSummary,
+        template: entry.template,
+        model: entry.model,
+        whisperModel: entry.whisperModel,
+        transcript: entry.transcript,
+        fullTranscript: true,
+        transcriptFilePath: entry.files.transcript,
+        segmentsFilePath: entry.files.segments,
+        summaryFilePath: entry.files.summary
       });
+    } catch (err) {
+      console.error('Error opening summary:', err);
+      setError(err.message);
+    }
+  };
 
+  const deleteHistoryEntry = async (entry) => {
+    if (!window.confirm(`Delete the summary of "${entry.title || entry.videoId || entry.fileName || entry.sourceUrl}"? Its files will be removed too.`)) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/summaries/${entry.id}`, { method: 'DELETE' });
       if (!response.ok) {
-        throw new Error('Failed to start processing');
+        throw new Error('Failed to delete summary');
       }
+      setHistory(prev => prev.filter(e => e.id !== entry.id));
+      if (result?.summaryId === entry.id) {
+        setResult(null);
+      }
+    } catch (err) {
+      console.error('Error deleting summary:', err);
+      setError(err.message);
+    }
+  };
 
-      // Read SSE stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          // Stream ended - check if we have a complete result
-          if (result && Object.keys(result).length > 0 && result.summary) {
-            // We have a complete result, ensure loading is false
-            setLoading(false);
-          } else if (!error) {
-            // Stream ended unexpectedly - might be an error
-            console.warn('Stream ended unexpectedly');
-          }
-          break;
-        }
+  // Reconnect to a job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    const savedJobId = localStorage.getItem(ACTIVE_JOB_STORAGE_KEY);
+    if (savedJobId) {
+      setResult({});
+      followJob(savedJobId);
+    }
+    return () => eventSourceRef.current?.close();
+  }, []);
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setWarning(null);
+    setResult({}); // Initialize as empty object to allow incremental updates
+    setBatch(null);
+    resetProgress();
+
+    const options = {
+      sourceLanguage,
+      summaryLanguage,
+      refresh,
+      summaryMode,
+      ...(summaryMode === 'standard' && template ? { template } : {}),
+      ...(summaryModel ? { summaryModel } : {}),
+      ...(whisperModel ? { whisperModel } : {})
+    };
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              
-              if (data.stage === 'error' || data.status === 'error') {
-                setError(data.error || data.message || 'Failed to process video');
-                setLoading(false);
-                // Don't break - keep processing to show error
-                continue;
-              }
-              
-              if (data.stage === 'complete' && data.status === 'success') {
-                // Final result - merge with existing result to preserve incremental updates
-                setResult(prev => ({ ...prev, ...data }));
-                setProgress({
-                  download: 'green',
-                  transcribe: 'green',
-                  summarize: 'green'
-                });
-                setLoading(false);
-                // Don't return - let the loop finish naturally
-                continue;
-              }
-              
-              // Update progress based on stage
-              if (data.stage === 'download') {
-                const status = data.status === 'completed' ? 'green' : 
-                              data.status === 'processing' ? 'orange' : 
-                              data.status === 'skipped' ? 'skipped' : 'grey';
-                setProgress(prev => ({
-                  ...prev,
-                  download: status
-                }));
-                setProgressMessages(prev => ({
-                  ...prev,
-                  download: data.message || ''
-                }));
-                if (data.audioPath) {
-                  setResult(prev => ({ ...prev, audioPath: data.audioPath }));
-                }
-              } else if (data.stage === 'transcribe') {
-                const status = data.status === 'completed' ? 'green' : 
-                              data.status === 'processing' ? 'orange' : 
-                              data.status === 'skipped' ? 'skipped' : 'grey';
-                setProgress(prev => ({
-                  ...prev,
-                  transcribe: status
-                }));
-                setProgressMessages(prev => ({
-                  ...prev,
-                  transcribe: data.message || ''
-                }));
-                if (data.transcriptFilePath) {
-                  setResult(prev => ({ ...prev, transcriptFilePath: data.transcriptFilePath }));
-                }
-                if (data.usedYouTubeTranscript) {
-                  setResult(prev => ({ ...prev, usedYouTubeTranscript: true }));
-                }
-              } else if (data.stage === 'summarize') {
-                setProgress(prev => ({
-                  ...prev,
-                  summarize: data.status === 'completed' ? 'green' : data.status === 'processing' ? 'orange' : 'grey'
-                }));
-                setProgressMessages(prev => ({
-                  ...prev,
-                  summarize: data.message || ''
-                }));
-                if (data.summaryFilePath) {
-                  setResult(prev => ({ ...prev, summaryFilePath: data.summaryFilePath }));
-                }
-                // Update summary if provided in progress update
-                if (data.summary) {
-                  setResult(prev => ({ ...prev, summary: data.summary }));
-                }
-              }
-            } catch (parseError) {
-              console.error('Error parsing SSE data:', parseError, line);
-            }
-          }
+    try {
+      // Queue the job (uploading the file first if one was chosen), then follow its progress over Server-Sent Events
+      let response;
+      if (batchMode && !uploadFile) {
+        setResult(null);
+        setBatch({ playlist: null, items: [], progress: null, message: 'Queued...', digest: '', language: summaryLanguage });
+        response = await fetch(`${API_BASE_URL}/api/batches`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ url: youtubeUrl, forceAudioDownload, ...options })
+        });
+      } else if (uploadFile) {
+        const formData = new FormData();
+        Object.entries(options).forEach(([key, value]) => formData.append(key, String(value)));
+        if (uploadingSubtitles && youtubeUrl) {
+          formData.append('youtubeUrl', youtubeUrl);
         }
+        formData.append('file', uploadFile); // Last, so the server has the options before the file arrives
+        setProgressMessages(prev => ({ ...prev, download: `Uploading ${uploadFile.name}...` }));
+        setProgress(prev => ({ ...prev, download: 'orange' }));
+        response = await fetch(`${API_BASE_URL}/api/uploads`, { method: 'POST', body: formData });
+      } else {
+        response = await fetch(`${API_BASE_URL}/api/jobs`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ url: youtubeUrl, forceAudioDownload, ...options })
+        });
+      }
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start processing');
       }
+
+      followJob(data.jobId);
     } catch (err) {
       // Display the actual error message
-      let errorMessage = 'Failed to process video';
-      
-      if (err.message) {
-        errorMessage = err.message;
-      } else if (err instanceof Error) {
-        errorMessage = err.message;
-      }
-      
-      setError(errorMessage);
+      setError(err.message || 'Failed to process video');
       console.error('Error details:', err);
       setLoading(false);
     }
   };
 
+  // Cancel the running job - the 'cancelled' event on the stream finishes the UI update
+  const handleCancel = async () => {
+    if (!jobId) return;
+    
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to cancel job');
+      }
+    } catch (err) {
+      console.error('Error cancelling job:', err);
+      setError(err.message);
+    }
+  };
+
   return (
     <>
       <style>{`
@@ -213,224 +563,980 @@ body {
   min-height: 100vh;
 }
 
-.app {
-  min-height: 100vh;
-  padding: 2rem;
-  display: flex;
-  justify-content: center;
-  align-items: flex-start;
+.app {
+  min-height: 100vh;
+  padding: 2rem;
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+}
+
+.container {
+  background: white;
+  border-radius: 16px;
+  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+  padding: 2.5rem;
+  width: 100%;
+  max-width: 1200px;
+  margin: 2rem auto;
+}
+
+h1 {
+  color: #333;
+  margin-bottom: 0.5rem;
+  font-size: 2.5rem;
+  text-align: center;
+}
+
+.subtitle {
+  color: #666;
+  text-align: center;
+  margin-bottom: 2rem;
+  line-height: 1.6;
+  font-size: 0.95rem;
+}
+
+.layout {
+  display: flex;
+  align-items: flex-start;
+  gap: 2rem;
+}
+
+.main-content {
+  flex: 1;
+  min-width: 0;
+}
+
+/* History sidebar */
+.history-panel {
+  width: 280px;
+  flex-shrink: 0;
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  max-height: 80vh;
+  position: sticky;
+  top: 2rem;
+}
+
+.history-header h2 {
+  color: #333;
+  font-size: 1.3rem;
+}
+
+.history-search {
+  padding: 0.5rem 0.75rem;
+  border: 2px solid #e0e0e0;
+  border-radius: 8px;
+  font-size: 0.9rem;
+}
+
+.history-search:focus {
+  outline: none;
+  border-color: #667eea;
+}
+
+.history-semantic {
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+  font-size: 0.8rem;
+  color: #555;
+  cursor: pointer;
+}
+
+.history-time {
+  color: #667eea;
+  font-variant-numeric: tabular-nums;
+  font-size: 0.75rem;
+}
+
+.history-empty {
+  color: #888;
+  font-size: 0.9rem;
+  font-style: italic;
+}
+
+.history-list {
+  list-style: none;
+  overflow-y: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+}
+
+.history-item {
+  display: flex;
+  align-items: flex-start;
+  border: 1px solid #e0e0e0;
+  border-radius: 8px;
+  background: #f8f9fa;
+  transition: border-color 0.2s;
+}
+
+.history-item:hover,
+.history-item.active {
+  border-color: #667eea;
+}
+
+.history-item.active {
+  background: #eef0fd;
+}
+
+.history-open {
+  flex: 1;
+  min-width: 0;
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  padding: 0.75rem;
+  background: none;
+  border: none;
+  text-align: start;
+  cursor: pointer;
+  font: inherit;
+}
+
+.history-title {
+  font-weight: 600;
+  color: #333;
+  font-size: 0.9rem;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.history-meta {
+  font-size: 0.75rem;
+  color: #888;
+}
+
+.history-source {
+  align-self: flex-start;
+  font-size: 0.7rem;
+  font-weight: 600;
+  padding: 0.1rem 0.5rem;
+  border-radius: 10px;
+}
+
+.history-source.youtube {
+  background-color: #d4edda;
+  color: #155724;
+}
+
+.history-source.whisper {
+  background-color: #d1ecf1;
+  color: #0c5460;
+}
+
+.history-source.subtitles {
+  background-color: #fff3cd;
+  color: #856404;
+}
+
+.history-snippet {
+  font-size: 0.75rem;
+  color: #666;
+  font-style: italic;
+}
+
+.history-delete {
+  background: none;
+  border: none;
+  color: #aaa;
+  font-size: 1.2rem;
+  line-height: 1;
+  padding: 0.5rem 0.75rem;
+  cursor: pointer;
+}
+
+.history-delete:hover {
+  color: #c33;
+}
+
+.form {
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+}
+
+.form-group {
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+}
+
+.form-group label {
+  font-weight: 600;
+  color: #333;
+  font-size: 0.95rem;
+}
+
+.form-group input,
+.form-group select {
+  padding: 0.75rem;
+  border: 2px solid #e0e0e0;
+  border-radius: 8px;
+  font-size: 1rem;
+  transition: border-color 0.3s;
+}
+
+.form-group input:focus,
+.form-group select:focus {
+  outline: none;
+  border-color: #667eea;
+}
+
+.form-group input:disabled,
+.form-group select:disabled {
+  background-color: #f5f5f5;
+  cursor: not-allowed;
+}
+
+.form-row {
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 1rem;
+}
+
+.field-hint {
+  font-size: 0.8rem;
+  color: #888;
+}
+
+.file-drop-zone {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 1.25rem;
+  border: 2px dashed #ccc;
+  border-radius: 8px;
+  color: #666;
+  text-align: center;
+  cursor: pointer;
+  transition: border-color 0.2s, background-color 0.2s;
+}
+
+.file-drop-zone:hover,
+.file-drop-zone:focus,
+.file-drop-zone.dragging {
+  outline: none;
+  border-color: #667eea;
+  background-color: #f5f7ff;
+}
+
+.file-drop-zone.disabled {
+  cursor: not-allowed;
+  opacity: 0.6;
+}
+
+.file-drop-zone.has-file {
+  flex-direction: row;
+  justify-content: space-between;
+  border-style: solid;
+  border-color: #667eea;
+  background-color: #f5f7ff;
+  cursor: default;
+}
+
+.file-drop-name {
+  font-weight: 600;
+  color: #333;
+  word-break: break-all;
+  text-align: start;
+}
+
+.file-drop-size,
+.file-drop-hint {
+  font-size: 0.8rem;
+  color: #888;
+}
+
+.file-drop-clear {
+  padding: 0.35rem 0.75rem;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  background: white;
+  cursor: pointer;
+}
+
+.submit-button {
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  padding: 1rem 2rem;
+  border-radius: 8px;
+  font-size: 1.1rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: transform 0.2s, box-shadow 0.2s;
+  margin-top: 0.5rem;
+}
+
+.submit-button:hover:not(:disabled) {
+  transform: translateY(-2px);
+  box-shadow: 0 10px 20px rgba(102, 126, 234, 0.4);
+}
+
+.submit-button:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
+.cancel-button {
+  background: white;
+  color: #c33;
+  border: 2px solid #fcc;
+  padding: 0.75rem 2rem;
+  border-radius: 8px;
+  font-size: 1rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: background-color 0.2s;
+}
+
+.cancel-button:hover {
+  background-color: #fee;
+}
+
+.loading {
+  margin-top: 2rem;
+  text-align: center;
+}
+
+.spinner {
+  border: 4px solid #f3f3f3;
+  border-top: 4px solid #667eea;
+  border-radius: 50%;
+  width: 50px;
+  height: 50px;
+  animation: spin 1s linear infinite;
+  margin: 0 auto 1rem;
+}
+
+@keyframes spin {
+  0% { transform: rotate(0deg); }
+  100% { transform: rotate(360deg); }
+}
+
+.error {
+  background: #fee;
+  border: 2px solid #fcc;
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-top: 2rem;
+  color: #c33;
+}
+
+.error h3 {
+  margin-bottom: 0.5rem;
+  color: #a00;
+}
+
+.warning {
+  background: #fff8e1;
+  border: 2px solid #ffe082;
+  border-radius: 8px;
+  padding: 1rem 1.5rem;
+  margin-top: 2rem;
+  color: #8d6e00;
+}
+
+/* Dependency health banner */
+.health-banner {
+  border-radius: 8px;
+  padding: 1rem 1.5rem;
+  margin-bottom: 1.5rem;
+  font-size: 0.9rem;
+}
+
+.health-banner.health-error {
+  background: #fee;
+  border: 2px solid #fcc;
+  color: #c33;
+}
+
+.health-banner.health-degraded {
+  background: #fff8e1;
+  border: 2px solid #ffe082;
+  color: #8d6e00;
+}
+
+.health-banner-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 1rem;
+}
+
+.health-banner ul {
+  margin: 0.5rem 0 0;
+  padding-left: 1.25rem;
+}
+
+.health-banner li {
+  margin-bottom: 0.35rem;
+}
+
+.health-component {
+  font-weight: 600;
+}
+
+.health-hint {
+  display: block;
+  margin-top: 0.2rem;
+  font-size: 0.8rem;
+  color: #555;
+  word-break: break-word;
+}
+
+.health-recheck {
+  flex-shrink: 0;
+  background: white;
+  border: 1px solid currentColor;
+  color: inherit;
+  border-radius: 6px;
+  padding: 0.3rem 0.75rem;
+  font-size: 0.8rem;
+  cursor: pointer;
+}
+
+.health-recheck:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
+.video-header {
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  min-width: 0;
+}
+
+.video-thumbnail {
+  width: 160px;
+  aspect-ratio: 16 / 9;
+  object-fit: cover;
+  border-radius: 8px;
+  flex-shrink: 0;
+}
+
+.video-details {
+  min-width: 0;
+}
+
+.video-details h2 a {
+  color: inherit;
+  text-decoration: none;
+}
+
+.video-details h2 a:hover {
+  text-decoration: underline;
+}
+
+.video-meta {
+  color: #666;
+  font-size: 0.9rem;
+  margin-top: 0.25rem;
+}
+
+.result {
+  margin-top: 2rem;
+  padding: 2rem;
+  background: #f8f9fa;
+  border-radius: 12px;
+  border: 1px solid #e0e0e0;
+}
+
+.result-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 1.5rem;
+  padding-bottom: 1rem;
+  border-bottom: 2px solid #e0e0e0;
+}
+
+.result-header h2 {
+  color: #333;
+  font-size: 1.8rem;
+}
+
+.result-info {
+  margin-bottom: 2rem;
+  padding: 1rem;
+  background: white;
+  border-radius: 8px;
+}
+
+.result-info p {
+  margin-bottom: 0.5rem;
+  color: #666;
+  font-size: 0.95rem;
+}
+
+.result-info strong {
+  color: #333;
+  margin-right: 0.5rem;
+}
+
+.result-section {
+  margin-bottom: 2rem;
+}
+
+.result-section h3 {
+  color: #333;
+  margin-bottom: 1rem;
+  font-size: 1.3rem;
+}
+
+.summary-content {
+  background-color: #f8f9fa;
+  padding: 1.5rem;
+  border-radius: 8px;
+  line-height: 1.8;
+  color: #333;
+}
+
+.summary-content p {
+  margin-bottom: 1rem;
+}
+
+.export-buttons {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 2rem;
+  font-size: 0.9rem;
+  color: #555;
+}
+
+.export-button {
+  padding: 0.3rem 0.8rem;
+  border: 1px solid #667eea;
+  border-radius: 6px;
+  color: #667eea;
+  text-decoration: none;
+  font-weight: 600;
+}
+
+.export-button:hover {
+  background-color: #667eea;
+  color: white;
+}
+
+/* Blinking caret after the text while the summary (or a chat answer) is still streaming in */
+.summary-content.streaming p:last-child::after,
+.chat-answer.streaming p:last-child::after {
+  content: '▍';
+  margin-inline-start: 2px;
+  color: #667eea;
+  animation: caret-blink 1s steps(2, start) infinite;
+}
+
+@keyframes caret-blink {
+  to {
+    visibility: hidden;
+  }
+}
+
+/* Chapter-by-chapter summaries */
+.tldr {
+  background-color: #eef2ff;
+  border-left: 4px solid #667eea;
+  padding: 1rem 1.25rem;
+  border-radius: 8px;
+  margin-bottom: 1rem;
+  line-height: 1.7;
+  color: #333;
+}
+
+.tldr p {
+  margin-top: 0.25rem;
+}
+
+.rtl-text .tldr {
+  border-left: none;
+  border-right: 4px solid #667eea;
+}
+
+.chapter {
+  background-color: #f8f9fa;
+  border-radius: 8px;
+  padding: 0.75rem 1.25rem;
+  margin-bottom: 0.5rem;
+  line-height: 1.7;
+  color: #333;
+}
+
+.chapter summary {
+  cursor: pointer;
+  font-weight: 600;
+  display: flex;
+  align-items: baseline;
+  gap: 0.75rem;
+}
+
+.chapter[open] summary {
+  margin-bottom: 0.5rem;
+}
+
+.chapter-time {
+  color: #667eea;
+  font-variant-numeric: tabular-nums;
+  text-decoration: none;
+}
+
+.chapter-time:hover {
+  text-decoration: underline;
+}
+
+.chapter p {
+  margin-bottom: 0.5rem;
+}
+
+/* RTL text support for Hebrew and Arabic */
+.rtl-text {
+  direction: rtl;
+  text-align: right;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Arial Hebrew', 'Noto Sans Hebrew', sans-serif;
+}
+
+.rtl-text p {
+  text-align: right;
+  direction: rtl;
+}
+
+.transcript-preview {
+  background-color: #f8f9fa;
+  padding: 1.5rem;
+  border-radius: 8px;
+  color: #666;
+  font-size: 0.9rem;
+  line-height: 1.6;
+  max-height: 200px;
+  overflow-y: auto;
+}
+
+.transcript-preview.full {
+  max-height: 400px;
+  white-space: pre-wrap;
+}
+
+.transcript-preview.rtl-text {
+  direction: rtl;
+  text-align: right;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Arial Hebrew', 'Noto Sans Hebrew', sans-serif;
+}
+
+/* Original / translated transcript */
+.transcript-views {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin-bottom: 0.75rem;
+}
+
+.transcript-views button {
+  padding: 0.3rem 0.8rem;
+  background: none;
+  border: 1px solid #667eea;
+  border-radius: 6px;
+  color: #667eea;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.transcript-views button.active {
+  background-color: #667eea;
+  color: white;
+}
+
+.transcript-line {
+  margin: 0.25rem 0;
+}
+
+.transcript-time {
+  color: #667eea;
+  font-variant-numeric: tabular-nums;
+  margin-inline-end: 0.5rem;
+}
+
+.transcript-downloads {
+  margin: 0.75rem 0 0;
+}
+
+.translate-controls {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.5rem;
+  margin-top: 0.75rem;
+  font-size: 0.9rem;
+  color: #555;
+}
+
+.translate-controls select {
+  padding: 0.3rem 0.5rem;
+  border: 2px solid #e0e0e0;
+  border-radius: 6px;
+}
+
+.translate-controls button {
+  padding: 0.35rem 1rem;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  border-radius: 6px;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.translate-controls button:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
+.transcript-note {
+  margin-top: 0.5rem;
+  font-size: 0.8rem;
+  color: #888;
+}
+
+/* Follow-up questions about the transcript */
+.chat-header {
+  display: flex;
+  align-items: baseline;
+  justify-content: space-between;
+  gap: 1rem;
+}
+
+.chat-clear {
+  background: none;
+  border: none;
+  color: #667eea;
+  cursor: pointer;
+  font-size: 0.9rem;
+}
+
+.chat-clear:disabled {
+  color: #aaa;
+  cursor: not-allowed;
+}
+
+.chat-messages {
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  margin-bottom: 1rem;
+}
+
+.chat-question {
+  align-self: flex-end;
+  max-width: 80%;
+  background-color: #667eea;
+  color: white;
+  padding: 0.6rem 1rem;
+  border-radius: 12px;
+  white-space: pre-wrap;
+}
+
+.chat-answer {
+  background-color: #f8f9fa;
+  padding: 1rem 1.25rem;
+  border-radius: 8px;
+  line-height: 1.7;
+  color: #333;
+}
+
+.chat-answer p + p {
+  margin-top: 0.5rem;
 }
 
-.container {
-  background: white;
-  border-radius: 16px;
-  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-  padding: 2.5rem;
-  width: 100%;
-  max-width: 1200px;
-  margin: 2rem auto;
+.chat-time {
+  color: #667eea;
+  font-variant-numeric: tabular-nums;
+  text-decoration: none;
 }
 
-h1 {
-  color: #333;
-  margin-bottom: 0.5rem;
-  font-size: 2.5rem;
-  text-align: center;
+a.chat-time:hover {
+  text-decoration: underline;
 }
 
-.subtitle {
-  color: #666;
-  text-align: center;
-  margin-bottom: 2rem;
-  line-height: 1.6;
-  font-size: 0.95rem;
+.chat-note {
+  margin-top: 0.25rem;
+  font-size: 0.8rem;
+  color: #888;
 }
 
-.form {
-  display: flex;
-  flex-direction: column;
-  gap: 1.5rem;
+.chat-error {
+  color: #c0392b;
+  margin-bottom: 0.75rem;
 }
 
-.form-group {
+.chat-form {
   display: flex;
-  flex-direction: column;
   gap: 0.5rem;
 }
 
-.form-group label {
-  font-weight: 600;
-  color: #333;
-  font-size: 0.95rem;
-}
-
-.form-group input,
-.form-group select {
-  padding: 0.75rem;
+.chat-form input {
+  flex: 1;
+  padding: 0.6rem 0.8rem;
   border: 2px solid #e0e0e0;
   border-radius: 8px;
   font-size: 1rem;
-  transition: border-color 0.3s;
 }
 
-.form-group input:focus,
-.form-group select:focus {
+.chat-form input:focus {
   outline: none;
   border-color: #667eea;
 }
 
-.form-group input:disabled,
-.form-group select:disabled {
-  background-color: #f5f5f5;
-  cursor: not-allowed;
-}
-
-.submit-button {
+.chat-form button {
+  padding: 0.6rem 1.25rem;
   background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
   color: white;
   border: none;
-  padding: 1rem 2rem;
   border-radius: 8px;
-  font-size: 1.1rem;
   font-weight: 600;
   cursor: pointer;
-  transition: transform 0.2s, box-shadow 0.2s;
-  margin-top: 0.5rem;
-}
-
-.submit-button:hover:not(:disabled) {
-  transform: translateY(-2px);
-  box-shadow: 0 10px 20px rgba(102, 126, 234, 0.4);
 }
 
-.submit-button:disabled {
+.chat-form button:disabled {
   opacity: 0.6;
   cursor: not-allowed;
 }
 
-.loading {
+/* Playlist/channel batches */
+.batch-view {
   margin-top: 2rem;
-  text-align: center;
+  padding: 2rem;
+  background: #f8f9fa;
+  border-radius: 12px;
+  border: 1px solid #e0e0e0;
 }
 
-.spinner {
-  border: 4px solid #f3f3f3;
-  border-top: 4px solid #667eea;
-  border-radius: 50%;
-  width: 50px;
-  height: 50px;
-  animation: spin 1s linear infinite;
-  margin: 0 auto 1rem;
+.batch-header h2 {
+  color: #333;
+  font-size: 1.4rem;
+  margin-bottom: 0.75rem;
 }
 
-@keyframes spin {
-  0% { transform: rotate(0deg); }
-  100% { transform: rotate(360deg); }
+.batch-header h2 a {
+  color: inherit;
+  text-decoration: none;
 }
 
-.error {
-  background: #fee;
-  border: 2px solid #fcc;
-  border-radius: 8px;
-  padding: 1.5rem;
-  margin-top: 2rem;
-  color: #c33;
+.batch-progress-bar {
+  height: 8px;
+  background-color: #e0e0e0;
+  border-radius: 4px;
+  overflow: hidden;
 }
 
-.error h3 {
-  margin-bottom: 0.5rem;
-  color: #a00;
+.batch-progress-fill {
+  height: 100%;
+  background-color: #4caf50;
+  transition: width 0.5s ease-out;
 }
 
-.result {
-  margin-top: 2rem;
-  padding: 2rem;
-  background: #f8f9fa;
-  border-radius: 12px;
-  border: 1px solid #e0e0e0;
+.batch-progress-text,
+.batch-message {
+  font-size: 0.85rem;
+  color: #666;
+  margin-top: 0.5rem;
 }
 
-.result-header {
+.batch-items {
+  list-style: none;
   display: flex;
-  justify-content: space-between;
-  align-items: center;
-  margin-bottom: 1.5rem;
-  padding-bottom: 1rem;
-  border-bottom: 2px solid #e0e0e0;
-}
-
-.result-header h2 {
-  color: #333;
-  font-size: 1.8rem;
+  flex-direction: column;
+  gap: 0.75rem;
+  margin: 1.5rem 0;
 }
 
-.result-info {
-  margin-bottom: 2rem;
-  padding: 1rem;
+.batch-item {
   background: white;
+  border: 1px solid #e0e0e0;
   border-radius: 8px;
+  padding: 0.75rem 1rem;
 }
 
-.result-info p {
+.batch-item.running {
+  border-color: #ffb74d;
+}
+
+.batch-item.failed {
+  border-color: #fcc;
+}
+
+.batch-item-header {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
   margin-bottom: 0.5rem;
-  color: #666;
-  font-size: 0.95rem;
 }
 
-.result-info strong {
+.batch-item-title {
   color: #333;
-  margin-right: 0.5rem;
+  font-weight: 600;
+  text-decoration: none;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
 }
 
-.result-section {
-  margin-bottom: 2rem;
+.batch-open {
+  flex-shrink: 0;
+  background: none;
+  border: 1px solid #667eea;
+  color: #667eea;
+  border-radius: 6px;
+  padding: 0.25rem 0.75rem;
+  font-size: 0.8rem;
+  cursor: pointer;
 }
 
-.result-section h3 {
-  color: #333;
-  margin-bottom: 1rem;
-  font-size: 1.3rem;
+.batch-open:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
 }
 
-.summary-content {
-  background-color: #f8f9fa;
-  padding: 1.5rem;
-  border-radius: 8px;
-  line-height: 1.8;
-  color: #333;
+.batch-stages {
+  display: flex;
+  gap: 8px;
 }
 
-.summary-content p {
-  margin-bottom: 1rem;
+.progress-stage-horizontal.batch-stage {
+  padding: 4px 10px;
+  gap: 6px;
+  border-radius: 8px;
+  font-size: 0.8rem;
+  box-shadow: none;
+  animation: none;
 }
 
-/* RTL text support for Hebrew and Arabic */
-.rtl-text {
-  direction: rtl;
-  text-align: right;
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Arial Hebrew', 'Noto Sans Hebrew', sans-serif;
+.batch-stage .stage-indicator-horizontal {
+  width: 14px;
+  height: 14px;
 }
 
-.rtl-text p {
-  text-align: right;
-  direction: rtl;
+.progress-stage-horizontal.batch-stage .stage-indicator-horizontal::after {
+  font-size: 9px;
 }
 
-.transcript-preview {
-  background-color: #f8f9fa;
-  padding: 1.5rem;
-  border-radius: 8px;
+.batch-item-message,
+.batch-item-error {
+  font-size: 0.8rem;
+  margin-top: 0.4rem;
   color: #666;
-  font-size: 0.9rem;
-  line-height: 1.6;
-  max-height: 200px;
-  overflow-y: auto;
 }
 
-.transcript-preview.rtl-text {
-  direction: rtl;
-  text-align: right;
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Arial Hebrew', 'Noto Sans Hebrew', sans-serif;
+.batch-item-error {
+  color: #c33;
 }
 
 /* Progress Stages - Horizontal Layout */
@@ -494,6 +1600,27 @@ h1 {
   font-style: italic;
 }
 
+.stage-progress-bar {
+  height: 4px;
+  margin: 4px 0 2px;
+  background-color: rgba(0, 0, 0, 0.1);
+  border-radius: 2px;
+  overflow: hidden;
+}
+
+.stage-progress-fill {
+  height: 100%;
+  background-color: #ff9800;
+  transition: width 0.5s ease-out;
+}
+
+.stage-latest-text {
+  display: -webkit-box;
+  -webkit-line-clamp: 2;
+  -webkit-box-orient: vertical;
+  overflow: hidden;
+}
+
 .progress-connector {
   width: 32px;
   height: 3px;
@@ -618,12 +1745,40 @@ h1 {
   background-color: #9e9e9e;
 }
 
+/* Stage States - Cached (served from the server cache) */
+.progress-stage-horizontal.cached .stage-indicator-horizontal {
+  background-color: #2196f3;
+  border: 2px solid #1976d2;
+}
+
+.progress-stage-horizontal.cached .stage-indicator-horizontal::after {
+  content: '↺';
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  color: white;
+  font-size: 14px;
+  font-weight: bold;
+  width: 100%;
+  height: 100%;
+}
+
+.progress-stage-horizontal.cached {
+  background-color: #e3f2fd;
+  color: #1565c0;
+  border: 2px solid #90caf9;
+}
+
 @media (max-width: 768px) {
   .container {
     padding: 1.5rem;
     margin-top: 1rem;
   }
 
+  .form-row {
+    grid-template-columns: 1fr;
+  }
+
   h1 {
     font-size: 2rem;
   }
@@ -633,6 +1788,16 @@ h1 {
     align-items: flex-start;
   }
 
+  .layout {
+    flex-direction: column;
+  }
+
+  .history-panel {
+    width: 100%;
+    max-height: 300px;
+    position: static;
+  }
+
   .progress-stages-horizontal {
     flex-direction: column;
     gap: 16px;
@@ -654,188 +1819,508 @@ h1 {
       <div className="container">
         <h1>YouTube Video Summarizer</h1>
         <p className="subtitle">
-          Get instant summaries of YouTube videos. Downloads audio, transcribes, and summarizes using local Ollama models.
+          Get instant summaries of YouTube videos (or any other site yt-dlp supports). Downloads audio, transcribes, and summarizes using local Ollama models.
         </p>
 
-        <form onSubmit={handleSubmit} className="form">
-          <div className="form-group">
-            <label htmlFor="youtubeUrl">YouTube URL</label>
-            <input
-              type="text"
-              id="youtubeUrl"
-              value={youtubeUrl}
-              onChange={(e) => setYoutubeUrl(e.target.value)}
-              placeholder="https://www.youtube.com/watch?v=..."
-              required
-              disabled={loading}
+        <div className="layout">
+          <HistoryPanel
+            entries={history}
+            loading={historyLoading}
+            error={historyError}
+            query={historyQuery}
+            onQueryChange={setHistoryQuery}
+            semantic={historySemantic}
+            onSemanticChange={setHistorySemantic}
+            searchResults={searchResults}
+            activeId={result?.summaryId}
+            onOpen={openHistoryEntry}
+            onDelete={deleteHistoryEntry}
+            languages={languages}
+          />
+
+          <main className="main-content">
+            <HealthBanner
+              health={health}
+              error={healthError}
+              checking={healthChecking}
+              onRecheck={checkHealth}
             />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="language">Language</label>
-            <select
-              id="language"
-              value={language}
-              onChange={(e) => setLanguage(e.target.value)}
-              disabled={loading}
-            >
-              {languages.map(lang => (
-                <option key={lang.code} value={lang.code}>
-                  {lang.name}
-                </option>
-              ))}
-            </select>
-          </div>
-
-          <div className="form-group">
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
-              <input
-                type="checkbox"
-                checked={forceAudioDownload}
-                onChange={(e) => setForceAudioDownload(e.target.checked)}
-                disabled={loading}
-                style={{ cursor: 'pointer' }}
-              />
-              <span>Force audio download (even if YouTube transcript is available)</span>
-            </label>
-          </div>
-
-          <button 
-            type="submit" 
-            disabled={loading || !youtubeUrl}
-            className="submit-button"
-          >
-            {loading ? 'Processing...' : 'Summarize Video'}
-          </button>
-        </form>
-
-        {(loading || (result && Object.keys(result).length > 0 && progress.summarize !== 'green') || error) && (
-          <div className="loading">
-            <div className="progress-stages-horizontal">
-              <div className={`progress-stage-horizontal ${progress.download}`}>
-                <div className="stage-indicator-horizontal"></div>
-                <div className="stage-content-horizontal">
-                  <span className="stage-label-horizontal">1. Download Audio</span>
-                  {progressMessages.download && (
-                    <span className="stage-message-horizontal">{progressMessages.download}</span>
-                  )}
-                  {result && result.audioPath && (
-                    <span className="stage-file-horizontal">✓ {result.audioPath}</span>
+
+            <form onSubmit={handleSubmit} className="form">
+              <div className="form-group">
+                <label htmlFor="youtubeUrl">Video URL</label>
+                <input
+                  type="text"
+                  id="youtubeUrl"
+                  value={youtubeUrl}
+                  onChange={(e) => setYoutubeUrl(e.target.value)}
+                  placeholder="YouTube, Vimeo, podcast or any other URL yt-dlp supports"
+                  required={!uploadFile}
+                  disabled={loading || (!!uploadFile && !uploadingSubtitles)}
+                />
+                <span className="field-hint">
+                  {uploadingSubtitles
+                    ? 'Optional for subtitles: the YouTube video they belong to (for its title, chapters and timestamp links)'
+                    : 'or upload a recording or subtitle file instead:'}
+                </span>
+                <FileDropZone file={uploadFile} onFileChange={setUploadFile} disabled={loading || batchMode} />
+              </div>
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={batchMode}
+                    onChange={(e) => setBatchMode(e.target.checked)}
+                    disabled={loading || !!uploadFile}
+                    style={{ cursor: 'pointer' }}
+                  />
+                  <span>Playlist or channel: summarize every video, then write a series digest</span>
+                </label>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="sourceLanguage">Video language</label>
+                <select
+                  id="sourceLanguage"
+                  value={sourceLanguage}
+                  onChange={(e) => setSourceLanguage(e.target.value)}
+                  disabled={loading}
+                >
+                  <option value="auto">Auto-detect</option>
+                  {languages.map(lang => (
+                    <option key={lang.code} value={lang.code}>
+                      {lang.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="summaryLanguage">Summary language</label>
+                <select
+                  id="summaryLanguage"
+                  value={summaryLanguage}
+                  onChange={(e) => setSummaryLanguage(e.target.value)}
+                  disabled={loading}
+                >
+                  {languages.map(lang => (
+                    <option key={lang.code} value={lang.code}>
+                      {lang.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="summaryMode">Summary style</label>
+                <select
+                  id="summaryMode"
+                  value={summaryMode === 'standard' && template ? `template:${template}` : summaryMode}
+                  onChange={(e) => {
+                    // Templates are standard summaries with a different prompt
+                    const value = e.target.value;
+                    setSummaryMode(value.startsWith('template:') ? 'standard' : value);
+                    setTemplate(value.startsWith('template:') ? value.slice('template:'.length) : '');
+                  }}
+                  disabled={loading}
+                >
+                  <option value="standard">Standard summary</option>
+                  <option value="chapters">By chapter (TL;DR + timestamped outline)</option>
+                  {templates.length > 0 && (
+                    <optgroup label="Templates">
+                      {templates.map(t => (
+                        <option key={t.id} value={`template:${t.id}`} title={t.description}>{t.name}</option>
+                      ))}
+                    </optgroup>
                   )}
+                </select>
+              </div>
+
+              {models && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="summaryModel">Summary model</label>
+                    <select
+                      id="summaryModel"
+                      value={summaryModel}
+                      onChange={(e) => setSummaryModel(e.target.value)}
+                      disabled={loading}
+                    >
+                      <option value="">Default ({models.summary.default})</option>
+                      {models.summary.models
+                        .filter(model => model.name !== models.summary.default)
+                        .map(model => (
+                          <option key={model.name} value={model.name}>{model.name}</option>
+                        ))}
+                    </select>
+                    {models.summary.error && (
+                      <span className="field-hint">{models.summary.error}</span>
+                    )}
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="whisperModel">Whisper model</label>
+                    <select
+                      id="whisperModel"
+                      value={whisperModel}
+                      onChange={(e) => setWhisperModel(e.target.value)}
+                      disabled={loading}
+                    >
+                      <option value="">Default ({models.whisper.default})</option>
+                      {models.whisper.models
+                        .filter(model => model.name !== models.whisper.default)
+                        .map(model => (
+                          <option key={model.name} value={model.name}>{model.name}</option>
+                        ))}
+                    </select>
+                    <span className="field-hint">Only used when the audio has to be transcribed</span>
+                  </div>
                 </div>
+              )}
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={forceAudioDownload}
+                    onChange={(e) => setForceAudioDownload(e.target.checked)}
+                    disabled={loading || !!uploadFile}
+                    style={{ cursor: 'pointer' }}
+                  />
+                  <span>Force audio download (even if YouTube transcript is available)</span>
+                </label>
+              </div>
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={refresh}
+                    onChange={(e) => setRefresh(e.target.checked)}
+                    disabled={loading}
+                    style={{ cursor: 'pointer' }}
+                  />
+                  <span>Refresh (ignore cached transcript and summary)</span>
+                </label>
               </div>
+
+              <button 
+                type="submit" 
+                disabled={loading || (!youtubeUrl && !uploadFile)}
+                className="submit-button"
+              >
+                {loading ? 'Processing...' : uploadFile ? 'Summarize File' : batchMode ? 'Summarize Playlist' : 'Summarize Video'}
+              </button>
+
+              {loading && jobId && (
+                <button 
+                  type="button" 
+                  onClick={handleCancel}
+                  className="cancel-button"
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+
+            {batch && (
+              <BatchView
+                batch={batch}
+                isRTL={languages.find(l => l.code === (batch.language || summaryLanguage))?.rtl || false}
+                loading={loading}
+                onOpenSummary={openHistoryEntry}
+              />
+            )}
+
+            {!batch && (loading || (result && Object.keys(result).length > 0 && progress.summarize !== 'green' && progress.summarize !== 'cached') || error) && (
+              <div className="loading">
+                <div className="progress-stages-horizontal">
+                  <div className={`progress-stage-horizontal ${progress.download}`}>
+                    <div className="stage-indicator-horizontal"></div>
+                    <div className="stage-content-horizontal">
+                      <span className="stage-label-horizontal">1. Download Audio</span>
+                      {progressMessages.download && (
+                        <span className="stage-message-horizontal">{progressMessages.download}</span>
+                      )}
+                      {result && result.audioPath && (
+                        <span className="stage-file-horizontal">✓ {result.audioPath}</span>
+                      )}
+                    </div>
+                  </div>
               
-              <div className="progress-connector"></div>
+                  <div className="progress-connector"></div>
               
-              <div className={`progress-stage-horizontal ${progress.transcribe}`}>
-                <div className="stage-indicator-horizontal"></div>
-                <div className="stage-content-horizontal">
-                  <span className="stage-label-horizontal">2. Transcribe</span>
-                  {progressMessages.transcribe && (
-                    <span className="stage-message-horizontal">{progressMessages.transcribe}</span>
-                  )}
-                  {result && result.transcriptFilePath && (
-                    <span className="stage-file-horizontal">✓ {result.transcriptFilePath}</span>
-                  )}
-                </div>
-              </div>
+                  <div className={`progress-stage-horizontal ${progress.transcribe}`}>
+                    <div className="stage-indicator-horizontal"></div>
+                    <div className="stage-content-horizontal">
+                      <span className="stage-label-horizontal">2. Transcribe</span>
+                      {progressMessages.transcribe && (
+                        <span className="stage-message-horizontal">{progressMessages.transcribe}</span>
+                      )}
+                      {transcribeProgress && (
+                        <>
+                          <div className="stage-progress-bar">
+                            <div className="stage-progress-fill" style={{ width: `${transcribeProgress.percent}%` }}></div>
+                          </div>
+                          {transcribeProgress.latestText && (
+                            <span className="stage-message-horizontal stage-latest-text" dir="auto" title={transcribeProgress.latestText}>
+                              "{transcribeProgress.latestText}"
+                            </span>
+                          )}
+                        </>
+                      )}
+                      {result && result.transcriptFilePath && (
+                        <span className="stage-file-horizontal">✓ {result.transcriptFilePath}</span>
+                      )}
+                    </div>
+                  </div>
               
-              <div className="progress-connector"></div>
+                  <div className="progress-connector"></div>
               
-              <div className={`progress-stage-horizontal ${progress.summarize}`}>
-                <div className="stage-indicator-horizontal"></div>
-                <div className="stage-content-horizontal">
-                  <span className="stage-label-horizontal">3. Summarize</span>
-                  {result && result.summaryFilePath && (
-                    <span className="stage-file-horizontal">✓ {result.summaryFilePath}</span>
-                  )}
+                  <div className={`progress-stage-horizontal ${progress.summarize}`}>
+                    <div className="stage-indicator-horizontal"></div>
+                    <div className="stage-content-horizontal">
+                      <span className="stage-label-horizontal">3. Summarize</span>
+                      {progressMessages.summarize && (
+                        <span className="stage-message-horizontal">{progressMessages.summarize}</span>
+                      )}
+                      {result && result.summaryFilePath && (
+                        <span className="stage-file-horizontal">✓ {result.summaryFilePath}</span>
+                      )}
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          </div>
-        )}
-
-        {error && (
-          <div className="error">
-            <h3>Error</h3>
-            <p>{error}</p>
-          </div>
-        )}
-
-        {result && Object.keys(result).length > 0 && (() => {
-          // Use result language for RTL detection (more accurate than current selection)
-          const resultLanguage = result.language || language;
-          const resultIsRTL = languages.find(l => l.code === resultLanguage)?.rtl || false;
-          
-          return (
-            <div className="result" dir={resultIsRTL ? 'rtl' : 'ltr'}>
-              <div className="result-header">
-                <h2>Summary Result</h2>
-              </div>
+            )}
 
-              <div className="result-info">
-                <p><strong>Video ID:</strong> {result.videoId}</p>
-                <p><strong>Language:</strong> {languages.find(l => l.code === resultLanguage)?.name || resultLanguage}</p>
-                {result.audioPath && (
-                  <p>
-                    <strong>Audio File:</strong>{' '}
-                    <a 
-                      href={`http://localhost:3001/tmp/${result.audioPath}`} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                    >
-                      {result.audioPath}
-                    </a>
-                  </p>
-                )}
-                {result.transcriptFilePath && (
-                  <p>
-                    <strong>Transcript File:</strong>{' '}
-                    <a 
-                      href={`http://localhost:3001/data/${result.transcriptFilePath}`} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                    >
-                      {result.transcriptFilePath}
-                    </a>
-                  </p>
-                )}
-                {result.summaryFilePath && (
-                  <p>
-                    <strong>Summary File:</strong>{' '}
-                    <a 
-                      href={`http://localhost:3001/data/${result.summaryFilePath}`} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                    >
-                      {result.summaryFilePath}
-                    </a>
-                  </p>
-                )}
+            {warning && !error && (
+              <div className="warning">
+                <p>⚠ {warning}</p>
               </div>
+            )}
 
-              {result.summary && (
-                <div className="result-section">
-                  <h3>Summary</h3>
-                  <div className={`summary-content ${resultIsRTL ? 'rtl-text' : ''}`} dir={resultIsRTL ? 'rtl' : 'ltr'}>
-                    {result.summary.split('\n').map((line, i) => (
-                      <p key={i}>{line}</p>
-                    ))}
+            {error && (
+              <div className="error">
+                <h3>Error</h3>
+                <p>{error}</p>
+              </div>
+            )}
+
+            {result && Object.keys(result).length > 0 && (() => {
+              // Use result language for RTL detection (more accurate than current selection).
+              // The summary follows the summary language, the transcript the language spoken in the video.
+              const resultLanguage = result.language || summaryLanguage;
+              const resultIsRTL = languages.find(l => l.code === resultLanguage)?.rtl || false;
+              const transcriptLanguage = result.sourceLanguage || resultLanguage;
+              const languageName = (code) => languages.find(l => l.code === code)?.name || code;
+          
+              return (
+                <div className="result" dir={resultIsRTL ? 'rtl' : 'ltr'}>
+                  <div className="result-header">
+                    {result.metadata ? (
+                      <div className="video-header">
+                        {result.metadata.thumbnail && (
+                          <img className="video-thumbnail" src={result.metadata.thumbnail} alt="" />
+                        )}
+                        <div className="video-details">
+                          <h2 dir="auto">
+                            {result.videoId ? (
+                              <a
+                                href={`https://www.youtube.com/watch?v=${result.videoId}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                {result.metadata.title || result.videoId}
+                              </a>
+                            ) : result.sourceUrl ? (
+                              <a href={result.sourceUrl} target="_blank" rel="noopener noreferrer">
+                                {result.metadata.title || result.sourceUrl}
+                              </a>
+                            ) : (
+                              result.metadata.title || result.fileName
+                            )}
+                          </h2>
+                          <p className="video-meta" dir="auto">
+                            {[
+                              result.metadata.channel,
+                              result.metadata.uploadDate,
+                              result.metadata.duration && formatDuration(result.metadata.duration)
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        </div>
+                      </div>
+                    ) : (
+                      <h2>Summary Result</h2>
+                    )}
                   </div>
-                </div>
-              )}
 
-              {result.transcript && (
-                <div className="result-section">
-                  <h3>Transcript Preview</h3>
-                  <div className={`transcript-preview ${resultIsRTL ? 'rtl-text' : ''}`} dir={resultIsRTL ? 'rtl' : 'ltr'}>
-                    {result.transcript}...
+                  <div className="result-info">
+                    {result.videoId ? (
+                      <p><strong>Video ID:</strong> {result.videoId}</p>
+                    ) : result.sourceUrl && !result.fileName ? (
+                      <p><strong>Source:</strong> {result.extractor || 'Web'} · {result.sourceId}</p>
+                    ) : result.fileName && (
+                      <p dir="auto"><strong>File:</strong> {result.fileName}</p>
+                    )}
+                    {result.sourceLanguage !== undefined && (
+                      <p>
+                        <strong>Video language:</strong>{' '}
+                        {result.sourceLanguage ? languageName(result.sourceLanguage) : 'Unknown'}
+                        {result.sourceLanguage && result.sourceLanguageDetected && ' (detected)'}
+                      </p>
+                    )}
+                    <p><strong>{result.sourceLanguage !== undefined ? 'Summary language' : 'Language'}:</strong> {languageName(resultLanguage)}</p>
+                    {result.model && (
+                      <p>
+                        <strong>Model:</strong> {result.model}
+                        {result.whisperModel && ` · Whisper ${result.whisperModel}`}
+                      </p>
+                    )}
+                    {result.template && (
+                      <p dir="auto"><strong>Template:</strong> {result.template.name}</p>
+                    )}
+                    {result.audioPath && !result.fileName && (
+                      <p>
+                        <strong>Audio File:</strong>{' '}
+                        <a 
+                          href={`${API_BASE_URL}/tmp/${result.audioPath}`} 
+                          target="_blank" 
+                          rel="noopener noreferrer"
+                        >
+                          {result.audioPath}
+                        </a>
+                      </p>
+                    )}
+                    {result.transcriptFilePath && (
+                      <p>
+                        <strong>Transcript File:</strong>{' '}
+                        <a 
+                          href={`${API_BASE_URL}/data/${result.transcriptFilePath}`} 
+                          target="_blank" 
+                          rel="noopener noreferrer"
+                        >
+                          {result.transcriptFilePath}
+                        </a>
+                      </p>
+                    )}
+                    {result.segmentsFilePath && (
+                      <p>
+                        <strong>Segments File:</strong>{' '}
+                        <a 
+                          href={`${API_BASE_URL}/data/${result.segmentsFilePath}`} 
+                          target="_blank" 
+                          rel="noopener noreferrer"
+                        >
+                          {result.segmentsFilePath}
+                        </a>
+                      </p>
+                    )}
+                    {result.summaryFilePath && (
+                      <p>
+                        <strong>Summary File:</strong>{' '}
+                        <a 
+                          href={`${API_BASE_URL}/data/${result.summaryFilePath}`} 
+                          target="_blank" 
+                          rel="noopener noreferrer"
+                        >
+                          {result.summaryFilePath}
+                        </a>
+                      </p>
+                    )}
                   </div>
+
+                  {result.summaryId && !loading && (
+                    <div className="export-buttons" dir="ltr">
+                      <strong>Download:</strong>
+                      {exportFormats.map(format => (
+                        <a
+                          key={format.id}
+                          className="export-button"
+                          href={`${API_BASE_URL}/api/summaries/${result.summaryId}/export?format=${format.id}`}
+                          title={format.title}
+                          download
+                        >
+                          {format.label}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+
+                  {result.chapterSummary ? (
+                    <div className="result-section">
+                      <h3>Summary</h3>
+                      <div className={`chapter-summary ${resultIsRTL ? 'rtl-text' : ''}`} dir={resultIsRTL ? 'rtl' : 'ltr'}>
+                        {result.chapterSummary.tldr && (
+                          <div className="tldr">
+                            <strong>TL;DR</strong>
+                            <p>{result.chapterSummary.tldr}</p>
+                          </div>
+                        )}
+                        {result.chapterSummary.chapters.map((chapter, i) => (
+                          <details key={i} className="chapter" open={i === 0}>
+                            <summary>
+                              {result.videoId ? (
+                                <a
+                                  className="chapter-time"
+                                  href={`https://www.youtube.com/watch?v=${result.videoId}&t=${Math.floor(chapter.start)}s`}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  dir="ltr"
+                                >
+                                  {formatDuration(chapter.start)}
+                                </a>
+                              ) : (
+                                <span className="chapter-time" dir="ltr">{formatDuration(chapter.start)}</span>
+                              )}
+                              <span className="chapter-title">{chapter.title}</span>
+                            </summary>
+                            {chapter.summary.split('\n').filter(line => line.trim()).map((line, j) => (
+                              <p key={j}>{line}</p>
+                            ))}
+                          </details>
+                        ))}
+                      </div>
+                    </div>
+                  ) : result.summary && (
+                    <div className="result-section">
+                      <h3>Summary</h3>
+                      <div
+                        className={`summary-content ${resultIsRTL ? 'rtl-text' : ''} ${result.summaryStreaming && loading ? 'streaming' : ''}`}
+                        dir={resultIsRTL ? 'rtl' : 'ltr'}
+                      >
+                        {result.summary.split('\n').map((line, i) => (
+                          <p key={i}>{line}</p>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {result.transcript && (
+                    <TranscriptPanel
+                      apiBaseUrl={API_BASE_URL}
+                      summaryId={loading ? null : result.summaryId}
+                      transcript={result.transcript}
+                      full={result.fullTranscript}
+                      languages={languages}
+                      sourceLanguage={transcriptLanguage}
+                      summaryLanguage={resultLanguage}
+                    />
+                  )}
+
+                  {result.summaryId && !loading && (
+                    <ChatPanel
+                      apiBaseUrl={API_BASE_URL}
+                      summaryId={result.summaryId}
+                      videoId={result.videoId}
+                      isRTL={resultIsRTL}
+                    />
+                  )}
                 </div>
-              )}
-            </div>
-          );
-        })(        )}
+              );
+            })(        )}
+          </main>
+        </div>
       </div>
     </div>
     </>
@@ -0,0 +1,100 @@
+// Progress of a playlist/channel batch (POST /api/batches): overall progress, each video's
+// three-stage status, and the series digest written from their summaries
+
+const stageLabels = {
+  download: 'Download',
+  transcribe: 'Transcribe',
+  summarize: 'Summarize'
+};
+
+// Item stage status from the server → the stage card colours used by the single-video view
+const stageColors = {
+  pending: 'grey',
+  processing: 'orange',
+  completed: 'green',
+  skipped: 'skipped',
+  cached: 'cached'
+};
+
+function BatchView({ batch, isRTL, loading, onOpenSummary }) {
+  const { playlist, items, progress, message, digest, digestMessage, digestStreaming, digestFilePath } = batch;
+
+  return (
+    <div className="batch-view">
+      <div className="batch-header">
+        <h2 dir="auto">
+          {playlist?.url ? (
+            <a href={playlist.url} target="_blank" rel="noopener noreferrer">{playlist.title || playlist.url}</a>
+          ) : (
+            playlist?.title || 'Reading playlist...'
+          )}
+        </h2>
+        {progress && (
+          <>
+            <div className="batch-progress-bar">
+              <div className="batch-progress-fill" style={{ width: `${progress.percent}%` }}></div>
+            </div>
+            <p className="batch-progress-text">
+              {progress.completed} of {progress.total} summarized
+              {progress.failed > 0 && ` · ${progress.failed} failed`}
+            </p>
+          </>
+        )}
+        {message && <p className="batch-message" dir="auto">{message}</p>}
+      </div>
+
+      <ol className="batch-items">
+        {items.map(item => (
+          <li key={item.index} className={`batch-item ${item.status}`}>
+            <div className="batch-item-header">
+              <a className="batch-item-title" href={item.url} target="_blank" rel="noopener noreferrer" dir="auto">
+                {item.title || item.url}
+              </a>
+              {item.status === 'completed' && item.summaryId && (
+                <button
+                  type="button"
+                  className="batch-open"
+                  onClick={() => onOpenSummary(item.summaryId)}
+                  disabled={loading}
+                >
+                  Open summary
+                </button>
+              )}
+            </div>
+            <div className="batch-stages">
+              {Object.keys(stageLabels).map(stage => (
+                <div key={stage} className={`progress-stage-horizontal batch-stage ${stageColors[item.stages[stage]] || 'grey'}`}>
+                  <div className="stage-indicator-horizontal"></div>
+                  <span>{stageLabels[stage]}</span>
+                </div>
+              ))}
+            </div>
+            {item.status === 'failed' ? (
+              <p className="batch-item-error" dir="auto">{item.error}</p>
+            ) : item.status === 'running' && item.message && (
+              <p className="batch-item-message" dir="auto">{item.message}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {(digest || digestMessage) && (
+        <div className="result-section batch-digest" dir={isRTL ? 'rtl' : 'ltr'}>
+          <h3>Series Digest</h3>
+          {digestFilePath && <p className="batch-progress-text">Saved to {digestFilePath}</p>}
+          {digest ? (
+            <div className={`summary-content ${isRTL ? 'rtl-text' : ''} ${digestStreaming ? 'streaming' : ''}`}>
+              {digest.split('\n').map((line, i) => (
+                <p key={i}>{line}</p>
+              ))}
+            </div>
+          ) : (
+            <p className="batch-message">{digestMessage}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchView;
@@ -0,0 +1,200 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Follow-up questions about a summary (POST /api/summaries/:id/chat), answered from its transcript.
+// Answers stream in over Server-Sent Events; [m:ss] citations link to that moment of YouTube videos.
+
+const TIMESTAMP_PATTERN = /\[(\d{1,2}(?::\d{2}){1,2})\]/g;
+
+// "1:02:03" / "2:03" → seconds
+function parseDuration(text) {
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// One line of an answer, with its [m:ss] citations as links (or plain times for other sources)
+function AnswerLine({ line, videoId }) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of line.matchAll(TIMESTAMP_PATTERN)) {
+    parts.push(line.slice(lastIndex, match.index));
+    const label = match[1];
+    parts.push(videoId ? (
+      <a
+        key={match.index}
+        className="chat-time"
+        href={`https://www.youtube.com/watch?v=${videoId}&t=${parseDuration(label)}s`}
+        target="_blank"
+        rel="noopener noreferrer"
+        dir="ltr"
+      >
+        {label}
+      </a>
+    ) : (
+      <span key={match.index} className="chat-time" dir="ltr">{label}</span>
+    ));
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(line.slice(lastIndex));
+  return <p>{parts}</p>;
+}
+
+// Read the `data:` events of a Server-Sent Events response body
+async function readEvents(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const events = (buffered + value).split('\n\n');
+    buffered = events.pop();
+    for (const event of events) {
+      const data = event.split('\n').find(line => line.startsWith('data: '));
+      if (data) onEvent(JSON.parse(data.slice('data: '.length)));
+    }
+  }
+}
+
+function ChatPanel({ apiBaseUrl, summaryId, videoId, isRTL }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [pendingQuestion, setPendingQuestion] = useState(null);
+  const [answer, setAnswer] = useState('');
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Load the conversation so far whenever another summary is opened
+  useEffect(() => {
+    setMessages([]);
+    setError(null);
+    fetch(`${apiBaseUrl}/api/summaries/${summaryId}/chat`)
+      .then(response => (response.ok ? response.json() : { messages: [] }))
+      .then(data => setMessages(data.messages))
+      .catch(err => console.error('Error loading chat:', err));
+    return () => abortRef.current?.abort();
+  }, [apiBaseUrl, summaryId]);
+
+  const asking = pendingQuestion !== null;
+
+  const ask = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || asking) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPendingQuestion(text);
+    setQuestion('');
+    setAnswer('');
+    setError(null);
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/summaries/${summaryId}/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ question: text }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to ask the question');
+      }
+
+      await readEvents(response, (data) => {
+        if (data.stage === 'answer' && data.delta) {
+          setAnswer(prev => prev + data.delta);
+        } else if (data.stage === 'complete') {
+          setMessages(data.messages);
+        } else if (data.stage === 'error') {
+          throw new Error(data.error);
+        }
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error asking question:', err);
+        setError(err.message);
+      }
+      setQuestion(text); // Keep the question so it can be sent again
+    } finally {
+      abortRef.current = null;
+      setPendingQuestion(null);
+      setAnswer('');
+    }
+  };
+
+  const clearChat = async () => {
+    try {
+      await fetch(`${apiBaseUrl}/api/summaries/${summaryId}/chat`, { method: 'DELETE' });
+      setMessages([]);
+    } catch (err) {
+      console.error('Error clearing chat:', err);
+    }
+  };
+
+  const renderAnswer = (text, streaming = false) => (
+    <div className={`chat-answer ${isRTL ? 'rtl-text' : ''} ${streaming ? 'streaming' : ''}`} dir={isRTL ? 'rtl' : 'ltr'}>
+      {(text || '...').split('\n').filter(line => line.trim()).map((line, i) => (
+        <AnswerLine key={i} line={line} videoId={videoId} />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="result-section chat-panel">
+      <div className="chat-header">
+        <h3>Ask about this video</h3>
+        {messages.length > 0 && (
+          <button type="button" className="chat-clear" onClick={clearChat} disabled={asking}>
+            Clear chat
+          </button>
+        )}
+      </div>
+
+      {(messages.length > 0 || asking) && (
+        <div className="chat-messages">
+          {messages.map((message, i) => (
+            message.role === 'user' ? (
+              <p key={i} className="chat-question" dir="auto">{message.content}</p>
+            ) : (
+              <div key={i}>
+                {renderAnswer(message.content)}
+                {message.passages && message.passages.used < message.passages.total && (
+                  <p className="chat-note">
+                    Answered from the {message.passages.used} of {message.passages.total} transcript passages that best match the question
+                  </p>
+                )}
+              </div>
+            )
+          ))}
+          {asking && (
+            <>
+              <p className="chat-question" dir="auto">{pendingQuestion}</p>
+              {renderAnswer(answer, true)}
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="chat-error" dir="auto">{error}</p>}
+
+      <form className="chat-form" onSubmit={ask}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder='e.g. "What did they say about pricing?"'
+          dir="auto"
+          maxLength={2000}
+          disabled={asking}
+        />
+        {asking ? (
+          <button type="button" onClick={() => abortRef.current?.abort()}>Stop</button>
+        ) : (
+          <button type="submit" disabled={!question.trim()}>Ask</button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -0,0 +1,87 @@
+import { useRef, useState } from 'react';
+
+// Drag-and-drop (or click-to-browse) picker for a local audio/video file to upload instead of a YouTube URL,
+// or a subtitle file to summarize without transcribing
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.json3', '.json', '.ttml', '.dfxp', '.xml'];
+const ACCEPTED_TYPES = ['audio/*', 'video/*', '.mkv', '.opus', '.m4a', ...SUBTITLE_EXTENSIONS].join(',');
+
+export function isSubtitleFile(file) {
+  return !!file && SUBTITLE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+}
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function FileDropZone({ file, onFileChange, disabled }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const selectFile = (selected) => {
+    if (selected) {
+      onFileChange(selected);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) selectFile(e.dataTransfer.files?.[0]);
+  };
+
+  const clearFile = () => {
+    onFileChange(null);
+    if (inputRef.current) inputRef.current.value = '';
+  };
+
+  if (file) {
+    return (
+      <div className="file-drop-zone has-file">
+        <span className="file-drop-name" dir="auto">{file.name}</span>
+        <span className="file-drop-size">{formatFileSize(file.size)}</span>
+        <button type="button" className="file-drop-clear" onClick={clearFile} disabled={disabled}>
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`file-drop-zone ${dragging ? 'dragging' : ''} ${disabled ? 'disabled' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      onClick={() => !disabled && inputRef.current?.click()}
+      role="button"
+      tabIndex={disabled ? -1 : 0}
+      onKeyDown={(e) => {
+        if (!disabled && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          inputRef.current?.click();
+        }
+      }}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        onChange={(e) => selectFile(e.target.files?.[0])}
+        disabled={disabled}
+        hidden
+      />
+      <span>Drop an audio, video or subtitle file here, or click to choose one</span>
+      <span className="file-drop-hint">Recordings are transcribed with Whisper; subtitles (SRT, VTT, JSON3, TTML) are summarized directly</span>
+    </div>
+  );
+}
+
+export default FileDropZone;
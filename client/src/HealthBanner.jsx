@@ -0,0 +1,50 @@
+// Banner listing missing or unavailable dependencies reported by GET /api/health
+
+const componentLabels = {
+  ytDlp: 'yt-dlp',
+  ffmpeg: 'ffmpeg',
+  whisperCli: 'whisper-cli',
+  llm: 'LLM server',
+  llmModel: 'Summary model',
+  whisperModel: 'Whisper model'
+};
+
+function HealthBanner({ health, error, checking, onRecheck }) {
+  if (!error && (!health || health.status === 'ok')) {
+    return null;
+  }
+
+  const failing = Object.entries(health?.components || {}).filter(([, component]) => component.status !== 'ok');
+  const isError = error || health.status === 'error';
+
+  return (
+    <div className={`health-banner ${isError ? 'health-error' : 'health-degraded'}`} role="alert">
+      <div className="health-banner-header">
+        <strong>
+          {error
+            ? 'Cannot reach the server'
+            : isError
+              ? 'Some required dependencies are missing - summaries will fail until they are fixed'
+              : 'Audio transcription is unavailable - only videos with YouTube transcripts can be summarized'}
+        </strong>
+        <button type="button" className="health-recheck" onClick={onRecheck} disabled={checking}>
+          {checking ? 'Checking...' : 'Check again'}
+        </button>
+      </div>
+
+      {error && <p>{error}</p>}
+
+      <ul>
+        {failing.map(([key, component]) => (
+          <li key={key}>
+            <span className="health-component">{componentLabels[key] || key}{component.required ? '' : ' (optional)'}:</span>{' '}
+            {component.message}
+            {component.hint && <code className="health-hint">{component.hint}</code>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default HealthBanner;
@@ -0,0 +1,118 @@
+// Sidebar listing previous summaries from the server's summaries library.
+// "Search by meaning" lists matching transcript passages (GET /api/search) instead.
+
+const sourceLabels = {
+  'yt-dlp': 'YouTube transcript',
+  'youtube-transcript': 'YouTube transcript',
+  'whisper': 'Whisper',
+  'subtitles': 'Subtitles'
+};
+
+function formatDate(isoString) {
+  const date = new Date(isoString);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function HistoryPanel({ entries, loading, error, query, onQueryChange, semantic, onSemanticChange, searchResults, activeId, onOpen, onDelete, languages }) {
+  return (
+    <aside className="history-panel">
+      <div className="history-header">
+        <h2>History</h2>
+      </div>
+
+      <input
+        type="search"
+        className="history-search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        placeholder={semantic ? 'Which videos discussed...?' : 'Search transcripts and summaries...'}
+      />
+      <label className="history-semantic">
+        <input
+          type="checkbox"
+          checked={semantic}
+          onChange={(e) => onSemanticChange(e.target.checked)}
+        />
+        Search by meaning
+      </label>
+
+      {error && <p className="history-empty">{error}</p>}
+
+      {!error && searchResults && (
+        <>
+          {searchResults.length === 0 && (
+            <p className="history-empty">{loading ? 'Searching...' : 'No matching passages'}</p>
+          )}
+          <ul className="history-list">
+            {searchResults.map((match, i) => (
+              <li key={`${match.summaryId}-${i}`} className={`history-item ${match.summaryId === activeId ? 'active' : ''}`}>
+                <button
+                  type="button"
+                  className="history-open"
+                  onClick={() => onOpen(match.summaryId)}
+                >
+                  <span className="history-title" dir="auto">{match.title || 'Untitled'}</span>
+                  {match.timestamp && <span className="history-time" dir="ltr">{match.timestamp}</span>}
+                  <span className="history-snippet" dir="auto">{match.snippet}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {!error && !searchResults && entries.length === 0 && (
+        <p className="history-empty">
+          {loading ? 'Loading...' : query ? 'No matching summaries' : 'No summaries yet'}
+        </p>
+      )}
+
+      {!searchResults && (
+        <ul className="history-list">
+          {entries.map(entry => {
+            const language = languages.find(l => l.code === entry.language);
+            // yt-dlp also fetches the subtitles of videos on other sites
+            const source = (entry.transcriptSource === 'yt-dlp' && entry.sourceUrl && !entry.videoId ? 'Subtitles' : sourceLabels[entry.transcriptSource]) ||
+              (entry.usedYouTubeTranscript === false ? 'Whisper' : entry.usedYouTubeTranscript ? 'YouTube transcript' : null);
+
+            return (
+              <li
+                key={entry.id}
+                className={`history-item ${entry.id === activeId ? 'active' : ''}`}
+              >
+                <button
+                  type="button"
+                  className="history-open"
+                  onClick={() => onOpen(entry.id)}
+                >
+                  <span className="history-title" dir="auto">{entry.title || entry.videoId || entry.fileName || entry.sourceUrl || 'Untitled'}</span>
+                  <span className="history-meta">
+                    {formatDate(entry.createdAt)}
+                    {language && ` · ${language.name}`}
+                  </span>
+                  {source && (
+                    <span className={`history-source ${source === 'Whisper' ? 'whisper' : source === 'Subtitles' ? 'subtitles' : 'youtube'}`}>{source}</span>
+                  )}
+                  {entry.snippet && (
+                    <span className="history-snippet" dir="auto">{entry.snippet}</span>
+                  )}
+                </button>
+                <button
+                  type="button"
+                  className="history-delete"
+                  onClick={() => onDelete(entry)}
+                  title="Delete summary"
+                  aria-label="Delete summary"
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default HistoryPanel;
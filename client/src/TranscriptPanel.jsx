@@ -0,0 +1,230 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatDuration } from './time.js';
+
+// The transcript of a result, with its translations (POST /api/summaries/:id/translations).
+// Translating runs as a job whose progress is followed over Server-Sent Events; a finished translation
+// can be shown instead of the original (each in its own text direction) and downloaded as SRT or VTT.
+
+// summaryId is only set once the run is saved - translations need a library entry.
+// transcript is the full text (full) or a fresh run's preview: its first characters, already ending in "...".
+function TranscriptPanel({ apiBaseUrl, summaryId, transcript, full, languages, sourceLanguage, summaryLanguage }) {
+  const [translations, setTranslations] = useState([]); // [{ language, model, createdAt, segmentCount, untranslated }]
+  const [view, setView] = useState('original'); // 'original' or a translation's language code
+  const [translation, setTranslation] = useState(null); // The translation shown: { language, segments, ... }
+  const [targetLanguage, setTargetLanguage] = useState('');
+  const [translating, setTranslating] = useState(null); // { jobId, message, percent } while a job runs
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const eventSourceRef = useRef(null);
+
+  const languageName = (code) => languages.find(l => l.code === code)?.name || code;
+  const isRtl = (code) => languages.find(l => l.code === code)?.rtl || false;
+  // Translate into the summary language by default, unless the video is already in it
+  const defaultTarget = summaryLanguage && summaryLanguage !== sourceLanguage
+    ? summaryLanguage
+    : languages.find(l => l.code !== sourceLanguage)?.code;
+
+  // Load the stored translations whenever another summary is opened
+  useEffect(() => {
+    setTranslations([]);
+    setView('original');
+    setTranslation(null);
+    setError(null);
+    setWarning(null);
+    setTargetLanguage(defaultTarget || '');
+    if (!summaryId) return;
+    fetch(`${apiBaseUrl}/api/summaries/${summaryId}/translations`)
+      .then(response => (response.ok ? response.json() : { translations: [] }))
+      .then(data => setTranslations(data.translations))
+      .catch(err => console.error('Error loading translations:', err));
+    return () => eventSourceRef.current?.close();
+  }, [apiBaseUrl, summaryId]);
+
+  const showTranslation = async (language) => {
+    setView(language);
+    if (translation?.language === language) return;
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/summaries/${summaryId}/translations/${language}`);
+      if (!response.ok) {
+        throw new Error('Failed to load the translation');
+      }
+      setTranslation(await response.json());
+    } catch (err) {
+      console.error('Error loading translation:', err);
+      setError(err.message);
+      setView('original');
+    }
+  };
+
+  const translate = async (refresh = false) => {
+    setError(null);
+    setWarning(null);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/summaries/${summaryId}/translations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ language: targetLanguage, refresh })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start the translation');
+      }
+      setTranslating({ jobId: data.jobId, message: 'Queued...', percent: null });
+
+      const eventSource = new EventSource(`${apiBaseUrl}/api/jobs/${data.jobId}/events`);
+      eventSourceRef.current = eventSource;
+      const stop = () => {
+        eventSource.close();
+        eventSourceRef.current = null;
+        setTranslating(null);
+      };
+      eventSource.onmessage = (event) => {
+        const update = JSON.parse(event.data);
+        if (update.stage === 'queued' || update.stage === 'translate') {
+          setTranslating(prev => ({ ...prev, message: update.message, percent: update.percent ?? prev?.percent ?? null }));
+          if (update.warning) setWarning(update.warning);
+        } else if (update.stage === 'complete') {
+          const details = {
+            language: update.language,
+            model: update.model,
+            createdAt: update.createdAt,
+            segmentCount: update.segments.length,
+            untranslated: update.untranslated
+          };
+          setTranslations(prev => [...prev.filter(t => t.language !== update.language), details]);
+          setTranslation(update);
+          setView(update.language);
+          stop();
+        } else if (update.stage === 'error') {
+          setError(update.message || update.error);
+          stop();
+        } else if (update.stage === 'cancelled') {
+          stop();
+        }
+      };
+      // EventSource reconnects by itself; CLOSED means the job expired or the server restarted
+      eventSource.onerror = () => {
+        if (eventSource.readyState === EventSource.CLOSED) {
+          setError('Lost track of the translation. It may have expired or the server was restarted.');
+          stop();
+        }
+      };
+    } catch (err) {
+      console.error('Error translating transcript:', err);
+      setError(err.message);
+      setTranslating(null);
+    }
+  };
+
+  const cancel = () => {
+    if (translating?.jobId) {
+      fetch(`${apiBaseUrl}/api/jobs/${translating.jobId}`, { method: 'DELETE' })
+        .catch(err => console.error('Error cancelling translation:', err));
+    }
+  };
+
+  const shown = view !== 'original' && translation?.language === view ? translation : null;
+  const shownLanguage = shown ? shown.language : sourceLanguage;
+  const rtl = isRtl(shownLanguage);
+  const translated = translations.some(t => t.language === targetLanguage);
+
+  return (
+    <div className="result-section">
+      <h3>{full ? 'Transcript' : 'Transcript Preview'}</h3>
+
+      {translations.length > 0 && (
+        <div className="transcript-views">
+          <button
+            type="button"
+            className={view === 'original' ? 'active' : ''}
+            onClick={() => setView('original')}
+          >
+            Original{sourceLanguage ? ` (${languageName(sourceLanguage)})` : ''}
+          </button>
+          {translations.map(t => (
+            <button
+              key={t.language}
+              type="button"
+              className={view === t.language ? 'active' : ''}
+              onClick={() => showTranslation(t.language)}
+            >
+              {languageName(t.language)} translation
+            </button>
+          ))}
+        </div>
+      )}
+
+      {shown ? (
+        <div className={`transcript-preview full ${rtl ? 'rtl-text' : ''}`} dir={rtl ? 'rtl' : 'ltr'} lang={shown.language}>
+          {shown.segments.map((segment, i) => (
+            <p key={i} className="transcript-line">
+              {Number.isFinite(segment.start) && (
+                <span className="transcript-time" dir="ltr">{formatDuration(segment.start)}</span>
+              )}
+              {segment.text}
+            </p>
+          ))}
+        </div>
+      ) : (
+        <div className={`transcript-preview ${full ? 'full' : ''} ${rtl ? 'rtl-text' : ''}`} dir={rtl ? 'rtl' : 'ltr'}>
+          {transcript}
+        </div>
+      )}
+
+      {shown && (
+        <div className="export-buttons transcript-downloads" dir="ltr">
+          <strong>Download translation:</strong>
+          {['srt', 'vtt'].map(format => (
+            <a
+              key={format}
+              className="export-button"
+              href={`${apiBaseUrl}/api/summaries/${summaryId}/export?format=${format}&translation=${shown.language}`}
+              download
+            >
+              {format.toUpperCase()}
+            </a>
+          ))}
+          <span className="transcript-note">Translated with {shown.model}</span>
+        </div>
+      )}
+
+      {summaryId && (
+        <div className="translate-controls">
+          <label htmlFor="translateLanguage">Translate the whole transcript into</label>
+          <select
+            id="translateLanguage"
+            value={targetLanguage}
+            onChange={(e) => setTargetLanguage(e.target.value)}
+            disabled={!!translating}
+          >
+            {languages.filter(l => l.code !== sourceLanguage).map(lang => (
+              <option key={lang.code} value={lang.code}>
+                {lang.name}
+              </option>
+            ))}
+          </select>
+          {translating ? (
+            <button type="button" onClick={cancel}>Stop</button>
+          ) : (
+            <button type="button" onClick={() => translate(translated)} disabled={!targetLanguage}>
+              {translated ? 'Translate again' : 'Translate'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {translating && (
+        <p className="transcript-note">
+          {translating.message}
+          {translating.percent !== null && ` (${translating.percent}%)`}
+        </p>
+      )}
+      {warning && <p className="transcript-note">{warning}</p>}
+      {error && <p className="chat-error" dir="auto">{error}</p>}
+    </div>
+  );
+}
+
+export default TranscriptPanel;
@@ -0,0 +1,70 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLibrary } from './library.js';
+import { createEmbeddingIndex, createEmbeddingProviderFromEnv } from './embeddings.js';
+
+// Embed the transcripts of every summary in the library for semantic search (GET /api/search).
+// New runs are indexed by the server as they finish; this catches up on summaries made before search
+// existed, while the embedding model was unavailable, or with a different EMBEDDING_MODEL.
+// Run with: npm run backfill-embeddings (add -- --force to re-embed everything)
+// Uses the same EMBEDDING_* / LLM_* environment variables as the server.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = path.join(__dirname, 'data');
+const force = process.argv.includes('--force');
+
+// Passage counts are updated in place on terminals
+const clearLine = () => {
+  if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+};
+
+const library = createLibrary(dataDir);
+const embedder = createEmbeddingProviderFromEnv();
+const searchIndex = createEmbeddingIndex(path.join(dataDir, 'embeddings'), embedder);
+
+const { entries } = library.search({ limit: Infinity });
+console.log(`Indexing ${entries.length} summaries with ${embedder.label} model "${embedder.model}"${force ? ' (--force)' : ''}`);
+
+// Drop index entries whose summary was deleted
+const libraryIds = new Set(entries.map(entry => entry.id));
+for (const id of searchIndex.ids().filter(id => !libraryIds.has(id))) {
+  searchIndex.remove(id);
+}
+
+let indexed = 0;
+let skipped = 0;
+let failed = 0;
+for (const [i, { id }] of entries.entries()) {
+  const entry = library.getWithContent(id);
+  const label = `[${i + 1}/${entries.length}] ${entry.title || entry.videoId || entry.fileName || entry.sourceUrl || id}`;
+
+  if (!entry.transcript?.trim()) {
+    console.log(`- ${label}: no transcript`);
+    skipped++;
+    continue;
+  }
+  if (!force && searchIndex.isCurrent(entry)) {
+    skipped++;
+    continue;
+  }
+
+  try {
+    const passages = await searchIndex.indexEntry(entry, {
+      onProgress: ({ done, total }) => {
+        if (process.stdout.isTTY) process.stdout.write(`\r\x1b[K  ${label}: ${done}/${total} passages`);
+      }
+    });
+    clearLine();
+    console.log(`✓ ${label}: ${passages} passages`);
+    indexed++;
+  } catch (error) {
+    clearLine();
+    console.error(`✗ ${label}: ${error.message}`);
+    failed++;
+  }
+}
+
+console.log(`\nIndexed ${indexed}, skipped ${skipped} (already indexed or no transcript), failed ${failed}`);
+if (failed > 0) {
+  process.exit(1);
+}
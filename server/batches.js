@@ -0,0 +1,79 @@
+import { canonicalYouTubeUrl, isValidVideoId, normalizeSourceUrl } from './commands.js';
+
+// Playlist and channel batches: turning `yt-dlp --flat-playlist` output into the videos to summarize,
+// and tracking each video's download/transcribe/summarize status plus the batch's overall progress.
+
+const ITEM_STAGES = ['download', 'transcribe', 'summarize'];
+
+// Channel pages list their tabs (Videos, Shorts, Live...) instead of videos; those entries are playlists themselves
+export function isNestedPlaylist(entry) {
+  return entry?._type === 'playlist' || entry?.ie_key === 'YoutubeTab';
+}
+
+// Videos in a flat playlist dump: [{ url, id, title, duration }], in playlist order.
+// YouTube entries get the canonical URL rebuilt from their video ID; anything without a usable http(s) URL is skipped.
+export function parsePlaylistEntries(info) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const entry of info?.entries || []) {
+    if (!entry || isNestedPlaylist(entry)) continue;
+
+    const url = entry.ie_key === 'Youtube' && isValidVideoId(entry.id)
+      ? canonicalYouTubeUrl(entry.id)
+      : normalizeSourceUrl(entry.url || entry.webpage_url || '');
+    if (!url || seen.has(url)) continue;
+
+    seen.add(url);
+    entries.push({
+      url,
+      id: entry.id || null,
+      title: entry.title || null,
+      duration: typeof entry.duration === 'number' ? entry.duration : null
+    });
+  }
+  return entries;
+}
+
+// Initial state of every video in the batch
+export function createBatchItems(entries) {
+  return entries.map((entry, index) => ({
+    index,
+    ...entry,
+    status: 'queued', // queued | running | completed | failed
+    stages: Object.fromEntries(ITEM_STAGES.map(stage => [stage, 'pending'])),
+    message: '',
+    sourceId: null,
+    summaryId: null,
+    summary: null,
+    error: null
+  }));
+}
+
+// Record one pipeline progress event on its item. Returns false for events the batch doesn't track.
+export function applyItemEvent(item, stage, status, data = {}) {
+  if (!ITEM_STAGES.includes(stage)) return false;
+  item.stages[stage] = status;
+  if (data.message) item.message = data.message;
+  return true;
+}
+
+// Overall progress: { total, completed, failed, done, percent }
+export function batchProgress(items) {
+  const completed = items.filter(item => item.status === 'completed').length;
+  const failed = items.filter(item => item.status === 'failed').length;
+  const done = completed + failed;
+  return {
+    total: items.length,
+    completed,
+    failed,
+    done,
+    percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0
+  };
+}
+
+// Public view of an item. The summary text stays on the server for the series digest; clients open the
+// finished summary by its summaryId.
+export function serializeBatchItem({ summary, ...item }) {
+  return item;
+}
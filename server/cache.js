@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+// File-based content cache: one JSON file per entry, grouped by namespace
+// (e.g. data/cache/transcripts/<key>.json, data/cache/summaries/<key>.json)
+
+// Build a stable cache key from any number of parts
+export function hashKey(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Keep keys safe to use as file names
+function toFileName(key) {
+  return `${String(key).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+}
+
+export function createCache(cacheDir) {
+  fs.ensureDirSync(cacheDir);
+
+  const entryPath = (namespace, key) => path.join(cacheDir, namespace, toFileName(key));
+
+  return {
+    // Returns the cached value, or null if missing or unreadable
+    get(namespace, key) {
+      const filePath = entryPath(namespace, key);
+      try {
+        if (!fs.existsSync(filePath)) return null;
+        return fs.readJsonSync(filePath).value;
+      } catch (error) {
+        console.warn(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+        return null;
+      }
+    },
+
+    set(namespace, key, value) {
+      const filePath = entryPath(namespace, key);
+      try {
+        fs.ensureDirSync(path.dirname(filePath));
+        fs.writeJsonSync(filePath, { cachedAt: new Date().toISOString(), value }, { spaces: 2 });
+      } catch (error) {
+        // A failed cache write should never fail the request
+        console.warn(`Failed to write cache entry ${filePath}: ${error.message}`);
+      }
+    },
+
+    remove(namespace, key) {
+      fs.removeSync(entryPath(namespace, key));
+    }
+  };
+}
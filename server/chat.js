@@ -0,0 +1,212 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { formatDuration } from './subtitles.js';
+
+// Follow-up questions about a summarized video (POST /api/summaries/:id/chat).
+// The transcript is split into passages; transcripts that don't fit in one prompt only send the passages
+// that best match the question (BM25 keyword ranking), in video order. Passages from timed segments carry
+// a [m:ss] timestamp per line, which the model is asked to cite. Conversations are kept in data/chats/<id>.json.
+
+// Messages of earlier turns sent with each question (user and assistant messages)
+const HISTORY_MESSAGES = 8;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common English words that say nothing about which passage a question is about
+const STOP_WORDS = new Set(`a an and are as at be but by can did do does for from had has have how i if in is it its
+me my of on or so than that the their them then there these they this to was we were what when where which who why
+will with would you your about also any just more some into out up all been could should our us he she his her
+said say says talk talked video speaker`.split(/\s+/));
+
+const TIMESTAMP_PATTERN = /\[(\d{1,2}(?::\d{2}){1,2})\]/g;
+
+// "1:02:03" / "2:03" → seconds
+function parseDuration(text) {
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Words of any script, lowercased, without stop words
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Split a library entry's transcript into passages of about maxChars: [{ index, start, end, text }].
+// Passages built from segments have start/end in seconds and one "[m:ss] text" line per segment
+// (just "text" with timestamps: false); segments without a start time get no timestamp. Transcripts without
+// segments are split on line breaks (or on sentences) and have no times.
+export function buildPassages(entry, maxChars, { timestamps = true } = {}) {
+  const passages = [];
+  let lines = [];
+  let length = 0;
+  let start = null;
+  let end = null;
+
+  const flush = () => {
+    if (lines.length === 0) return;
+    passages.push({ index: passages.length, start, end, text: lines.join('\n') });
+    lines = [];
+    length = 0;
+    start = null;
+    end = null;
+  };
+
+  const add = (line, segment = null) => {
+    if (length > 0 && length + line.length > maxChars) flush();
+    if (segment && start === null) start = segment.start;
+    if (segment) end = segment.end ?? segment.start;
+    lines.push(line);
+    length += line.length + 1;
+  };
+
+  if (entry.segments?.length > 0) {
+    for (const segment of entry.segments) {
+      const text = segment.text.trim();
+      if (!text) continue;
+      const timed = Number.isFinite(segment.start);
+      add(timestamps && timed ? `[${formatDuration(segment.start)}] ${text}` : text, timed ? segment : null);
+    }
+  } else {
+    const transcript = entry.transcript || '';
+    const pieces = transcript.includes('\n')
+      ? transcript.split(/\n+/)
+      : transcript.split(/(?<=[.!?])\s+/);
+    pieces.map(piece => piece.trim()).filter(Boolean).forEach(piece => add(piece));
+  }
+  flush();
+  return passages;
+}
+
+// Passages to answer `query` from, at most maxChars in total, in transcript order.
+// Everything is sent when it fits; otherwise the best-matching passages are picked (or, when no word of the
+// question appears in the transcript, e.g. "what is this about?", the start of the transcript).
+export function selectPassages(passages, query, maxChars) {
+  const totalChars = passages.reduce((sum, passage) => sum + passage.text.length, 0);
+  if (totalChars <= maxChars) return passages;
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const documents = passages.map(passage => tokenize(passage.text));
+  const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / Math.max(documents.length, 1);
+  const documentFrequency = new Map(queryTerms.map(term => [
+    term,
+    documents.filter(terms => terms.includes(term)).length
+  ]));
+
+  const scores = documents.map((terms, i) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = terms.filter(t => t === term).length;
+      if (frequency === 0) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * terms.length / (averageLength || 1)));
+    }
+    return { passage: passages[i], score };
+  });
+
+  const ranked = scores
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ passage }) => passage);
+  const candidates = ranked.length > 0 ? ranked : passages;
+
+  const selected = [];
+  let used = 0;
+  for (const passage of candidates) {
+    if (used + passage.text.length > maxChars && selected.length > 0) {
+      // A smaller, lower-ranked match may still fit; the start of the transcript stays contiguous
+      if (ranked.length === 0) break;
+      continue;
+    }
+    selected.push(passage);
+    used += passage.text.length;
+  }
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+// Messages for llm.chat(): instructions with the summary and transcript passages, the recent
+// conversation, then the question
+export function buildChatMessages({ entry, passages, allPassages, history, question, languageName }) {
+  const timed = passages.some(passage => passage.start !== null);
+  const partial = passages.length < allPassages;
+  const title = entry.title || entry.metadata?.title;
+
+  const instructions = [
+    `You answer questions about ${title ? `the video "${title}"` : 'a video'} using only its transcript below.`,
+    'If the transcript does not answer the question, say so - do not guess or use outside knowledge.',
+    timed && 'Transcript lines start with a [m:ss] timestamp. After each claim, cite the timestamp of the line it comes from in the same [m:ss] form, e.g. [12:34].',
+    partial && `The transcript is long, so only the ${passages.length} excerpts (of ${allPassages}) most relevant to the question are included.`,
+    `Answer in ${languageName}, concisely.`
+  ].filter(Boolean).join('\n');
+
+  const summary = entry.chapterSummary?.tldr || entry.summary;
+  const context = [
+    summary && `=== SUMMARY ===\n${summary}`,
+    `=== TRANSCRIPT${partial ? ' EXCERPTS' : ''} ===\n${passages.map(passage => passage.text).join(partial ? '\n...\n' : '\n')}`
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    { role: 'system', content: `${instructions}\n\n${context}` },
+    ...history.slice(-HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: question }
+  ];
+}
+
+// Timestamps cited in an answer that fall inside the transcript: [{ label, seconds }], in order of appearance
+export function findCitations(answer, passages) {
+  const timed = passages.filter(passage => passage.start !== null);
+  if (timed.length === 0) return [];
+
+  const last = Math.max(...timed.map(passage => passage.end ?? passage.start));
+  const seen = new Set();
+  const citations = [];
+  for (const [, label] of answer.matchAll(TIMESTAMP_PATTERN)) {
+    const seconds = parseDuration(label);
+    if (seconds > last + 1 || seen.has(seconds)) continue;
+    seen.add(seconds);
+    citations.push({ label, seconds });
+  }
+  return citations;
+}
+
+// Conversation history per library entry: [{ role: 'user' | 'assistant', content, createdAt, citations?, passages? }]
+export function createChatStore(chatsDir) {
+  fs.ensureDirSync(chatsDir);
+
+  const chatPath = (summaryId) => {
+    if (!/^[\w-]+$/.test(summaryId)) {
+      throw new Error(`Invalid summary ID: ${JSON.stringify(summaryId)}`);
+    }
+    return path.join(chatsDir, `${summaryId}.json`);
+  };
+
+  return {
+    get(summaryId) {
+      const file = chatPath(summaryId);
+      if (!fs.existsSync(file)) return [];
+      try {
+        return fs.readJsonSync(file).messages || [];
+      } catch (error) {
+        console.warn(`Ignoring unreadable chat history ${file}: ${error.message}`);
+        return [];
+      }
+    },
+
+    // Add messages to the end of the conversation. Returns the whole conversation.
+    append(summaryId, messages) {
+      const all = [...this.get(summaryId), ...messages];
+      fs.writeJsonSync(chatPath(summaryId), { summaryId, messages: all }, { spaces: 2 });
+      return all;
+    },
+
+    clear(summaryId) {
+      const file = chatPath(summaryId);
+      if (!fs.existsSync(file)) return false;
+      fs.removeSync(file);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,183 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+
+// Child processes (yt-dlp, ffmpeg, whisper-cli) are always started from an argument array with
+// execFile/spawn - never through a shell - so nothing in a URL, file name or language code can be
+// run as a shell command. yt-dlp only gets URLs after a `--`, so they can't be read as options either:
+// for YouTube the canonical URL rebuilt from a validated video ID, for other sites the URL as
+// normalized by the URL parser (http and https only).
+
+// Run a command without a shell. Resolves to { stdout, stderr }; rejects like child_process.execFile.
+// (On Windows this finds .exe files on PATH, which is how yt-dlp, ffmpeg and whisper-cli ship.)
+export const runCommand = promisify(execFile);
+
+// Like runCommand, but streams the output: onStdoutLine/onStderrLine(line) are called for every
+// line as the command prints it. Resolves to { stdout, stderr }; on failure the error carries
+// code, killed, stdout and stderr the way execFile's errors do.
+export function spawnCommand(command, args, { cwd, timeout, signal, onStdoutLine, onStderrLine } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, signal, windowsHide: true });
+    const output = { stdout: '', stderr: '' };
+    let killed = false;
+
+    const timer = timeout
+      ? setTimeout(() => {
+        killed = true;
+        child.kill('SIGTERM');
+      }, timeout)
+      : null;
+
+    const collect = (stream, name, onLine) => {
+      let partial = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => {
+        output[name] += chunk;
+        if (!onLine) return;
+        // whisper-cli ends progress lines with \r as well as \n
+        const lines = (partial + chunk).split(/\r?\n|\r/);
+        partial = lines.pop();
+        lines.filter(line => line.trim()).forEach(onLine);
+      });
+      stream.on('end', () => {
+        if (onLine && partial.trim()) onLine(partial);
+      });
+    };
+    collect(child.stdout, 'stdout', onStdoutLine);
+    collect(child.stderr, 'stderr', onStderrLine);
+
+    const fail = (error) => {
+      clearTimeout(timer);
+      reject(Object.assign(error, { killed, ...output }));
+    };
+
+    // Spawn failures (ENOENT when the command isn't installed) and aborts
+    child.on('error', fail);
+    child.on('close', (code, killSignal) => {
+      if (code === 0) {
+        clearTimeout(timer);
+        resolve(output);
+        return;
+      }
+      if (signal?.aborted) return; // already rejected through 'error'
+      const error = new Error(`Command failed: ${formatCommand(command, args)}\n${output.stderr}`);
+      fail(Object.assign(error, { code, signal: killSignal }));
+    });
+  });
+}
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+export function isValidVideoId(videoId) {
+  return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+}
+
+// Extract the video ID from a YouTube URL (or accept a bare 11-character ID).
+// Only the ID's own characters are accepted, so whatever else the URL carries is dropped.
+export function extractVideoId(url) {
+  if (typeof url !== 'string') return null;
+  const input = url.trim();
+  if (isValidVideoId(input)) return input;
+
+  const match = input.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?|shorts|live)\/|.*[?&]v=)|youtu\.be\/)([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/);
+  return match ? match[1] : null;
+}
+
+// The only form of a YouTube URL that is ever handed to a child process
+export function canonicalYouTubeUrl(videoId) {
+  if (!isValidVideoId(videoId)) {
+    throw new Error(`Invalid YouTube video ID: ${JSON.stringify(videoId)}`);
+  }
+  return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+// Normalize a URL for any other yt-dlp-supported site (Vimeo, Twitch, podcasts, direct media links...).
+// Returns the normalized URL, or null unless it is a well-formed http(s) URL without whitespace or control characters.
+export function normalizeSourceUrl(url) {
+  if (typeof url !== 'string' || /[\s\x00-\x1f\x7f]/.test(url.trim())) return null;
+  try {
+    const parsed = new URL(url.trim());
+    return ['http:', 'https:'].includes(parsed.protocol) && parsed.hostname ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// The URL handed to yt-dlp must be http(s) - never a local file or something that looks like an option
+function requireSourceUrl(url) {
+  const normalized = normalizeSourceUrl(url);
+  if (!normalized || normalized !== url) {
+    throw new Error(`Invalid source URL: ${JSON.stringify(url)}`);
+  }
+  return normalized;
+}
+
+// Language codes as sent by the client ("en", "he", "pt-BR", ...)
+export function isValidLanguageCode(language) {
+  return typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language);
+}
+
+// The yt-dlp builders take canonicalYouTubeUrl(videoId) or a normalizeSourceUrl() result
+
+// yt-dlp: download subtitles only
+export function ytDlpSubtitleArgs(url, subtitleLanguage, subFormat, outputTemplate) {
+  return [
+    '--skip-download',
+    '--no-playlist',
+    '--write-subs',
+    '--sub-langs', subtitleLanguage,
+    '--sub-format', subFormat,
+    '-o', outputTemplate,
+    '--', requireSourceUrl(url)
+  ];
+}
+
+// yt-dlp: print the video's info JSON
+export function ytDlpMetadataArgs(url) {
+  return ['--dump-json', '--skip-download', '--no-playlist', '--no-warnings', '--', requireSourceUrl(url)];
+}
+
+// yt-dlp: print a playlist's or channel's info JSON with its first `limit` entries, without resolving each video
+export function ytDlpPlaylistArgs(url, limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid playlist limit: ${JSON.stringify(limit)}`);
+  }
+  return [
+    '--flat-playlist',
+    '--dump-single-json',
+    '--no-warnings',
+    '--playlist-end', String(limit),
+    '--', requireSourceUrl(url)
+  ];
+}
+
+// yt-dlp: download the audio track as m4a to <outputPath>.<ext>
+export function ytDlpAudioArgs(url, outputPath) {
+  return [
+    '-x', // extract audio only
+    '--audio-format', 'm4a',
+    '--no-playlist',
+    '--no-write-playlist',
+    '--no-write-info-json',
+    '--no-write-subs',
+    '--no-write-auto-subs',
+    '-o', `${outputPath}.%(ext)s`,
+    '--', requireSourceUrl(url)
+  ];
+}
+
+// ffmpeg: convert any audio/video file to the 16 kHz mono WAV whisper-cli expects
+export function ffmpegToWavArgs(inputPath, wavPath) {
+  return ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-f', 'wav', wavPath];
+}
+
+// whisper-cli: transcribe to <outputFile>.txt and <outputFile>.srt (-osrt keeps the segment timings).
+// Segments are printed to stdout as they are transcribed; --print-progress adds "progress = N%" lines on stderr.
+export function whisperArgs(modelPath, audioPath, outputFile, language) {
+  return ['-m', modelPath, '-f', audioPath, '-otxt', '-osrt', '-of', outputFile, '-l', language, '--print-progress'];
+}
+
+// Human-readable command line for logs (quoted the way a POSIX shell would need it; never executed)
+export function formatCommand(command, args) {
+  const quote = arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+  return [command, ...args].map(quote).join(' ');
+}
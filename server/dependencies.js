@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { runCommand } from './commands.js';
+
+// External dependencies (yt-dlp, ffmpeg, whisper-cli, Whisper models): platform detection,
+// install hints, missing-command detection and Whisper model lookup, shared by the pipeline and the health check.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Cross-platform home directory resolution
+export function getHomeDir() {
+  return process.env.HOME || process.env.USERPROFILE || os.homedir();
+}
+
+// 'windows', 'macos' or 'linux' (other Unix systems get the Linux advice)
+export function getPlatform() {
+  if (process.platform === 'win32') return 'windows';
+  if (process.platform === 'darwin') return 'macos';
+  return 'linux';
+}
+
+let linuxPackageManager;
+
+// The distribution's package manager ('apt', 'dnf' or 'pacman'), or null if unknown.
+// Read from /etc/os-release (ID and ID_LIKE), falling back to whichever package manager is installed.
+export function getLinuxPackageManager() {
+  if (linuxPackageManager !== undefined) return linuxPackageManager;
+
+  const distroManagers = {
+    apt: ['debian', 'ubuntu', 'linuxmint', 'pop', 'raspbian'],
+    dnf: ['fedora', 'rhel', 'centos', 'rocky', 'almalinux'],
+    pacman: ['arch', 'manjaro', 'endeavouros']
+  };
+
+  linuxPackageManager = null;
+  try {
+    const osRelease = fs.readFileSync('/etc/os-release', 'utf-8');
+    const ids = osRelease
+      .split('\n')
+      .filter(line => /^(ID|ID_LIKE)=/.test(line))
+      .flatMap(line => line.split('=')[1].replace(/"/g, '').split(/\s+/));
+    linuxPackageManager = Object.keys(distroManagers).find(manager => ids.some(id => distroManagers[manager].includes(id))) || null;
+  } catch {
+    // No /etc/os-release - fall through to looking for the binaries
+  }
+
+  if (!linuxPackageManager) {
+    const binaries = { apt: 'apt-get', dnf: 'dnf', pacman: 'pacman' };
+    linuxPackageManager = Object.keys(binaries).find(manager => fs.existsSync(`/usr/bin/${binaries[manager]}`)) || null;
+  }
+  return linuxPackageManager;
+}
+
+const WHISPER_BUILD_HINT = 'Build whisper.cpp from https://github.com/ggerganov/whisper.cpp (cmake -B build && cmake --build build --config Release) and add build/bin to PATH';
+
+// Install instructions per tool: macOS, Windows, and Linux per package manager
+// (`linux` is used when the package manager is unknown)
+const installHints = {
+  'yt-dlp': {
+    macos: 'Install with: brew install yt-dlp',
+    windows: 'Install with: choco install yt-dlp (or download from https://github.com/yt-dlp/yt-dlp and add to PATH)',
+    // Distribution packages of yt-dlp go stale quickly, so pip is offered as well
+    apt: 'Install with: sudo apt install yt-dlp (or, for the latest version: python3 -m pip install -U yt-dlp)',
+    dnf: 'Install with: sudo dnf install yt-dlp (or, for the latest version: python3 -m pip install -U yt-dlp)',
+    pacman: 'Install with: sudo pacman -S yt-dlp',
+    linux: 'Install with: python3 -m pip install -U yt-dlp'
+  },
+  ffmpeg: {
+    macos: 'Install with: brew install ffmpeg',
+    windows: 'Install with: choco install ffmpeg (or download from https://ffmpeg.org and add to PATH)',
+    apt: 'Install with: sudo apt install ffmpeg',
+    dnf: 'Install with: sudo dnf install ffmpeg (on Fedora, enable RPM Fusion first)',
+    pacman: 'Install with: sudo pacman -S ffmpeg',
+    linux: 'Install ffmpeg with your distribution\'s package manager (or download from https://ffmpeg.org)'
+  },
+  'whisper-cli': {
+    macos: 'Install with: brew install whisper-cpp',
+    windows: 'Build whisper.cpp from https://github.com/ggerganov/whisper.cpp and add whisper-cli.exe to PATH',
+    apt: WHISPER_BUILD_HINT,
+    dnf: WHISPER_BUILD_HINT,
+    pacman: `Install from the AUR (e.g. yay -S whisper.cpp), or ${WHISPER_BUILD_HINT.charAt(0).toLowerCase()}${WHISPER_BUILD_HINT.slice(1)}`,
+    linux: WHISPER_BUILD_HINT
+  }
+};
+
+// How to install `command` on this machine
+export function installHint(command) {
+  const hints = installHints[command];
+  if (!hints) return null;
+
+  const platform = getPlatform();
+  if (platform !== 'linux') return hints[platform];
+  return hints[getLinuxPackageManager()] || hints.linux;
+}
+
+// Did running `command` fail because it isn't installed?
+// Covers spawn errors (ENOENT), shells (exit code 127, "command not found" / "not found")
+// and cmd.exe ("is not recognized as an internal or external command").
+export function isMissingCommand(error, command) {
+  if (error.code === 'ENOENT' || error.code === 127) return true;
+  const output = `${error.message || ''}\n${error.stderr || ''}`;
+  return output.includes(command) && /(command )?not found|is not recognized/i.test(output);
+}
+
+// Error for a missing command, with the install hint. `missingDependency` lets callers rethrow it as-is.
+export function missingDependencyError(command) {
+  const error = new Error(`${command} is not installed or not in PATH. ${installHint(command)}`);
+  error.missingDependency = command;
+  return error;
+}
+
+// Run `command` with versionArgs (an argument array) and report whether it exists and which version it is.
+// parseVersion(output) picks the version out of the command's output.
+// Returns { status: 'ok' | 'error', version, message, hint? }.
+export async function checkCommand(command, versionArgs, parseVersion) {
+  try {
+    const { stdout, stderr } = await runCommand(command, versionArgs, { timeout: 10000 });
+    const version = parseVersion(`${stdout}\n${stderr}`);
+    return { status: 'ok', version, message: `${command} ${version || 'found'}` };
+  } catch (error) {
+    // whisper-cli has no --version and may exit non-zero on --help; any other output means it ran
+    if (!isMissingCommand(error, command) && !error.killed && (error.stdout || error.stderr)) {
+      return { status: 'ok', version: parseVersion(`${error.stdout}\n${error.stderr}`), message: `${command} found` };
+    }
+    return { status: 'error', version: null, message: `${command} is not installed or not in PATH`, hint: installHint(command) };
+  }
+}
+
+// Directories searched for ggml Whisper models, in order
+export function getWhisperModelDirs() {
+  const homeDir = getHomeDir();
+  const dirs = [
+    process.env.WHISPER_MODEL_DIR || path.join(homeDir, '.cache', 'whisper'),
+    // Project-local models folder (cross-platform)
+    path.join(__dirname, 'models'),
+    // User cache directory (cross-platform)
+    path.join(homeDir, '.cache', 'whisper')
+  ];
+
+  const platform = getPlatform();
+  if (platform === 'macos') {
+    dirs.push('/opt/homebrew/share/whisper-cpp/models', '/usr/local/share/whisper-cpp/models');
+  }
+
+  if (platform === 'linux') {
+    dirs.push(
+      path.join(homeDir, '.local', 'share', 'whisper-cpp', 'models'),
+      // whisper.cpp's download script puts models next to a source checkout
+      path.join(homeDir, 'whisper.cpp', 'models'),
+      '/usr/local/share/whisper-cpp/models',
+      '/usr/share/whisper-cpp/models',
+      '/usr/share/whisper.cpp/models'
+    );
+  }
+
+  if (platform === 'windows') {
+    dirs.push(
+      path.join('C:', 'Program Files', 'whisper-cpp', 'models'),
+      path.join('C:', 'Program Files (x86)', 'whisper-cpp', 'models')
+    );
+  }
+
+  return [...new Set(dirs)];
+}
+
+// Path of ggml-<name>.bin in the first directory that has it, or null
+export function findWhisperModel(name) {
+  for (const dir of getWhisperModelDirs()) {
+    const modelPath = path.join(dir, `ggml-${name}.bin`);
+    if (fs.existsSync(modelPath)) {
+      return modelPath;
+    }
+  }
+  return null;
+}
+
+// Every ggml Whisper model in the search paths: [{ name, path, size }] (first match wins per name)
+export function listWhisperModels() {
+  const models = new Map();
+  for (const dir of getWhisperModelDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir)) {
+      const name = file.match(/^ggml-(.+)\.bin$/)?.[1];
+      if (name && !models.has(name)) {
+        const modelPath = path.join(dir, file);
+        models.set(name, { name, path: modelPath, size: fs.statSync(modelPath).size });
+      }
+    }
+  }
+  return [...models.values()].sort((a, b) => a.size - b.size);
+}
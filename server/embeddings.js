@@ -0,0 +1,208 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { hashKey } from './cache.js';
+import { buildPassages } from './chat.js';
+import { createLlmProvider } from './llm.js';
+
+// Semantic search index (GET /api/search): every library entry's transcript is split into passages,
+// each passage is embedded with a local embedding model, and a query is matched against all of them by
+// cosine similarity. One entry per summary in data/embeddings/: <id>.json (model, passages and their
+// times) and <id>.f32 (the unit-length vectors, float32). The whole index is loaded into memory on the
+// first search; every search then re-reads the entries whose files changed on disk, so summaries indexed by
+// another process (npm run backfill-embeddings) show up without a restart.
+
+const INDEX_VERSION = 1;
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+// Texts per embedding request batch (progress is reported per batch)
+const EMBED_BATCH_SIZE = 16;
+
+// Embedding provider from the environment: EMBEDDING_PROVIDER, EMBEDDING_BASE_URL, EMBEDDING_MODEL and
+// EMBEDDING_API_KEY, falling back to the LLM's provider and server (LLM_PROVIDER, LLM_BASE_URL/OLLAMA_BASE_URL,
+// LLM_API_KEY). The model defaults to nomic-embed-text.
+export function createEmbeddingProviderFromEnv(env = process.env) {
+  const llmProvider = env.LLM_PROVIDER || 'ollama';
+  const provider = env.EMBEDDING_PROVIDER || llmProvider;
+  return createLlmProvider({
+    provider,
+    baseUrl: env.EMBEDDING_BASE_URL ||
+      (provider === llmProvider ? env.LLM_BASE_URL : undefined) ||
+      (provider === 'ollama' ? env.OLLAMA_BASE_URL : undefined),
+    model: env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    apiKey: env.EMBEDDING_API_KEY || env.LLM_API_KEY
+  });
+}
+
+// Scale a vector to unit length, so cosine similarity is a dot product
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return Float32Array.from(vector, x => x / length);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Detects transcripts that changed since they were indexed
+function transcriptHash(entry) {
+  return hashKey(entry.transcript || '', (entry.segments || []).length);
+}
+
+// embedder: a provider from llm.js (its `model` is the embedding model). passageChars: passage size.
+export function createEmbeddingIndex(indexDir, embedder, { passageChars = 1000 } = {}) {
+  fs.ensureDirSync(indexDir);
+
+  const metaPath = (id) => path.join(indexDir, `${id}.json`);
+  const vectorsPath = (id) => path.join(indexDir, `${id}.f32`);
+  const checkId = (id) => {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid summary ID: ${JSON.stringify(id)}`);
+    }
+    return id;
+  };
+
+  // summary ID → { meta, vectors: Float32Array[], modified }, loaded on first use
+  let entries = null;
+  // summary ID → modified time of entries that couldn't be read (so they are only reported once per change)
+  const unreadable = new Map();
+
+  // Last change to an entry's files (0 if one is missing)
+  const modifiedTime = (id) => {
+    try {
+      return Math.max(fs.statSync(metaPath(id)).mtimeMs, fs.statSync(vectorsPath(id)).mtimeMs);
+    } catch {
+      return 0;
+    }
+  };
+
+  const readEntry = (id) => {
+    try {
+      const meta = fs.readJsonSync(metaPath(id));
+      // Copy into a fresh buffer: Float32Array needs 4-byte alignment, which pooled file buffers don't promise
+      const data = new Float32Array(new Uint8Array(fs.readFileSync(vectorsPath(id))).buffer);
+      if (data.length !== meta.passages.length * meta.dimensions) {
+        throw new Error('the vectors do not match the passages');
+      }
+      const vectors = meta.passages.map((_, i) => data.subarray(i * meta.dimensions, (i + 1) * meta.dimensions));
+      return { meta, vectors };
+    } catch (error) {
+      console.warn(`Ignoring unreadable search index entry ${id}: ${error.message}`);
+      return null;
+    }
+  };
+
+  // Read the entries that were added or changed on disk since they were loaded, and forget deleted ones
+  const refresh = () => {
+    const current = new Map();
+    for (const file of fs.readdirSync(indexDir).filter(name => name.endsWith('.json'))) {
+      const id = path.basename(file, '.json');
+      const modified = modifiedTime(id);
+      const known = entries?.get(id);
+      if (!modified) continue;
+      if (known?.modified === modified) {
+        current.set(id, known);
+      } else if (unreadable.get(id) !== modified) {
+        const entry = readEntry(id);
+        if (entry) {
+          current.set(id, { ...entry, modified });
+          unreadable.delete(id);
+        } else {
+          unreadable.set(id, modified);
+        }
+      }
+    }
+    entries = current;
+    return entries;
+  };
+
+  const load = () => entries || refresh();
+
+  // Write to a temporary file and rename it, so another process never reads a half-written file
+  const writeAtomic = (file, data) => {
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, data);
+    fs.renameSync(temporary, file);
+  };
+
+  return {
+    get model() {
+      return embedder.model;
+    },
+
+    // Is this library entry (with its content) indexed with the current model and transcript?
+    isCurrent(entry) {
+      const indexed = load().get(entry.id);
+      return Boolean(indexed) &&
+        indexed.meta.version === INDEX_VERSION &&
+        indexed.meta.model === embedder.model &&
+        indexed.meta.transcriptHash === transcriptHash(entry);
+    },
+
+    // Embed a library entry's transcript (from library.getWithContent), replacing any earlier version.
+    // onProgress({ done, total }) after each batch. Resolves to the number of passages.
+    async indexEntry(entry, { signal, onProgress = () => {} } = {}) {
+      const id = checkId(entry.id);
+      const passages = buildPassages(entry, passageChars, { timestamps: false });
+
+      const vectors = [];
+      for (let i = 0; i < passages.length; i += EMBED_BATCH_SIZE) {
+        const batch = passages.slice(i, i + EMBED_BATCH_SIZE);
+        const embeddings = await embedder.embed(batch.map(passage => passage.text), { signal });
+        vectors.push(...embeddings.map(normalize));
+        onProgress({ done: vectors.length, total: passages.length });
+      }
+
+      const dimensions = vectors[0]?.length || 0;
+      if (vectors.some(vector => vector.length !== dimensions)) {
+        throw new Error('The embedding model returned vectors of different lengths');
+      }
+
+      const meta = {
+        version: INDEX_VERSION,
+        summaryId: id,
+        model: embedder.model,
+        dimensions,
+        transcriptHash: transcriptHash(entry),
+        indexedAt: new Date().toISOString(),
+        passages: passages.map(({ start, end, text }) => ({ start, end, text }))
+      };
+      const data = new Float32Array(vectors.length * dimensions);
+      vectors.forEach((vector, i) => data.set(vector, i * dimensions));
+      // Vectors first, so a crash in between never leaves metadata pointing at missing vectors
+      writeAtomic(vectorsPath(id), Buffer.from(data.buffer));
+      writeAtomic(metaPath(id), JSON.stringify(meta));
+
+      load().set(id, { meta, vectors, modified: modifiedTime(id) });
+      return passages.length;
+    },
+
+    remove(id) {
+      checkId(id);
+      load().delete(id);
+      fs.removeSync(metaPath(id));
+      fs.removeSync(vectorsPath(id));
+    },
+
+    // IDs of every indexed summary (with any model)
+    ids() {
+      return [...refresh().keys()];
+    },
+
+    // Passages closest in meaning to the query, best first: [{ summaryId, start, end, text, score }].
+    // Entries indexed with another embedding model are skipped until they are re-indexed.
+    async search(query, { limit = 10, signal } = {}) {
+      const [embedding] = await embedder.embed([query], { signal });
+      const queryVector = normalize(embedding);
+
+      const matches = [];
+      for (const [summaryId, { meta, vectors }] of refresh()) {
+        if (meta.model !== embedder.model || meta.dimensions !== queryVector.length) continue;
+        vectors.forEach((vector, i) => {
+          matches.push({ summaryId, ...meta.passages[i], score: dot(queryVector, vector) });
+        });
+      }
+      return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,274 @@
+import { formatDuration, segmentsToSrt, segmentsToVtt } from './subtitles.js';
+
+// Summary exports (GET /api/summaries/:id/export): a library entry with its content (library.getWithContent)
+// rendered as Markdown, JSON, HTML, SRT or VTT. Every format carries the metadata, the summary (or chapter
+// summary) and the transcript; the subtitle formats are the transcript itself (or a translation of it, see
+// withTranslation), timed by its segments.
+
+const RTL_LANGUAGES = ['he', 'ar', 'fa', 'ur', 'yi'];
+
+// Reading speed used to time cues of transcripts saved without segments (characters per second)
+const ESTIMATED_CHARS_PER_SECOND = 15;
+
+export function isRtlLanguage(language) {
+  return RTL_LANGUAGES.includes((language || '').split('-')[0]);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function titleOf(entry) {
+  return entry.title || entry.metadata?.title || entry.fileName || entry.sourceId || entry.videoId || 'Summary';
+}
+
+function sourceUrlOf(entry) {
+  return entry.youtubeUrl || entry.sourceUrl || null;
+}
+
+// Link to a moment in the video (YouTube only - other sites have no common URL format for it)
+function timestampUrl(entry, seconds) {
+  return entry.youtubeUrl ? `${entry.youtubeUrl}&t=${Math.floor(seconds)}s` : null;
+}
+
+// Only http(s) links make it into the documents (metadata URLs come from the video's site)
+function safeUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+}
+
+// Metadata shown at the top of the document formats: [[label, text, url?]]
+function metadataRows(entry) {
+  const metadata = entry.metadata || {};
+  return [
+    ['Channel', metadata.channel, safeUrl(metadata.channelUrl)],
+    ['Uploaded', metadata.uploadDate],
+    ['Duration', metadata.duration && formatDuration(metadata.duration)],
+    ['Source', sourceUrlOf(entry), safeUrl(sourceUrlOf(entry))],
+    ['File', entry.fileName],
+    ['Video language', entry.sourceLanguage],
+    ['Summary language', entry.language],
+    ['Model', entry.model],
+    ['Summarized', entry.createdAt]
+  ].filter(([, text]) => text);
+}
+
+// Does every segment have a start time? Transcripts from sources without timings have segments without one.
+function isTimed(segments) {
+  return segments?.length > 0 && segments.every(segment => Number.isFinite(segment.start));
+}
+
+// Timed segments for the subtitle formats. Transcripts without timed segments (older library entries, or
+// sources without timings) get one cue per segment or line, timed by its length. Returns { segments, estimated }.
+function transcriptSegments(entry) {
+  if (isTimed(entry.segments)) {
+    return { segments: entry.segments, estimated: false };
+  }
+
+  const lines = (entry.segments?.length > 0 ? entry.segments.map(segment => segment.text) : (entry.transcript || '').split(/\n+/))
+    .map(line => line.trim())
+    .filter(Boolean);
+  const totalChars = lines.reduce((sum, line) => sum + line.length, 0);
+  const secondsPerChar = entry.metadata?.duration && totalChars > 0
+    ? entry.metadata.duration / totalChars
+    : 1 / ESTIMATED_CHARS_PER_SECOND;
+
+  let start = 0;
+  const segments = lines.map(text => {
+    const end = start + text.length * secondsPerChar;
+    const segment = { start, end, text };
+    start = end;
+    return segment;
+  });
+  return { segments, estimated: true };
+}
+
+// Plain-text summary (chapter summaries are stored pre-rendered as text too)
+function summaryText(entry) {
+  return entry.summary || '';
+}
+
+export function renderMarkdown(entry) {
+  const lines = [`# ${titleOf(entry)}`, ''];
+
+  for (const [label, text, url] of metadataRows(entry)) {
+    lines.push(`- **${label}:** ${url && url !== text ? `[${text}](${url})` : text}`);
+  }
+  lines.push('');
+
+  if (entry.chapterSummary) {
+    lines.push('## TL;DR', '', entry.chapterSummary.tldr, '', '## Chapters', '');
+    for (const chapter of entry.chapterSummary.chapters) {
+      const time = formatDuration(chapter.start);
+      const link = timestampUrl(entry, chapter.start);
+      lines.push(`### ${link ? `[${time}](${link})` : time} ${chapter.title || ''}`.trimEnd(), '', chapter.summary || '', '');
+    }
+  } else {
+    lines.push('## Summary', '', summaryText(entry), '');
+  }
+
+  lines.push('## Transcript', '');
+  if (entry.segments?.length > 0) {
+    for (const segment of entry.segments) {
+      if (!Number.isFinite(segment.start)) {
+        lines.push(`${segment.text.trim()}  `);
+        continue;
+      }
+      const time = formatDuration(segment.start);
+      const link = timestampUrl(entry, segment.start);
+      lines.push(`**${link ? `[${time}](${link})` : time}** ${segment.text.trim()}  `);
+    }
+  } else {
+    lines.push(entry.transcript || '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+export function renderJson(entry) {
+  return `${JSON.stringify({
+    id: entry.id,
+    title: titleOf(entry),
+    createdAt: entry.createdAt,
+    source: {
+      videoId: entry.videoId || null,
+      sourceId: entry.sourceId || entry.videoId || null,
+      url: sourceUrlOf(entry),
+      extractor: entry.extractor || null,
+      fileName: entry.fileName || null
+    },
+    metadata: entry.metadata || null,
+    language: entry.language,
+    sourceLanguage: entry.sourceLanguage || null,
+    model: entry.model || null,
+    transcriptSource: entry.transcriptSource || null,
+    summaryMode: entry.summaryMode || (entry.chapterSummary ? 'chapters' : 'standard'),
+    summary: summaryText(entry),
+    chapterSummary: entry.chapterSummary || null,
+    transcript: entry.transcript || '',
+    segments: entry.segments || []
+  }, null, 2)}\n`;
+}
+
+// Text as HTML, one paragraph per line
+function htmlParagraphs(text) {
+  return (text || '')
+    .split(/\n+/)
+    .filter(line => line.trim())
+    .map(line => `<p>${escapeHtml(line)}</p>`)
+    .join('\n');
+}
+
+function htmlTime(entry, seconds) {
+  const link = timestampUrl(entry, seconds);
+  const time = escapeHtml(formatDuration(seconds));
+  // Times stay left-to-right inside RTL text
+  return link ? `<a class="time" dir="ltr" href="${escapeHtml(link)}">${time}</a>` : `<span class="time" dir="ltr">${time}</span>`;
+}
+
+// A standalone HTML page. Hebrew, Arabic and other RTL languages get dir="rtl" on the whole document
+// (the summary language); a transcript in another language gets its own lang and direction.
+export function renderHtml(entry) {
+  const rtl = isRtlLanguage(entry.language);
+  const transcriptLanguage = entry.sourceLanguage && entry.sourceLanguage !== entry.language
+    ? ` lang="${escapeHtml(entry.sourceLanguage)}" dir="${isRtlLanguage(entry.sourceLanguage) ? 'rtl' : 'ltr'}"`
+    : '';
+  const title = escapeHtml(titleOf(entry));
+
+  const metadata = metadataRows(entry)
+    .map(([label, text, url]) => {
+      const value = url ? `<a href="${escapeHtml(url)}" dir="auto">${escapeHtml(text)}</a>` : `<span dir="auto">${escapeHtml(text)}</span>`;
+      return `<li><strong>${escapeHtml(label)}:</strong> ${value}</li>`;
+    })
+    .join('\n');
+
+  const summary = entry.chapterSummary
+    ? `<h2>TL;DR</h2>
+${htmlParagraphs(entry.chapterSummary.tldr)}
+<h2>Chapters</h2>
+${entry.chapterSummary.chapters.map(chapter => `<section class="chapter">
+<h3>${htmlTime(entry, chapter.start)} ${escapeHtml(chapter.title || '')}</h3>
+${htmlParagraphs(chapter.summary)}
+</section>`).join('\n')}`
+    : `<h2>Summary</h2>
+${htmlParagraphs(summaryText(entry))}`;
+
+  const transcript = entry.segments?.length > 0
+    ? entry.segments.map(segment => (Number.isFinite(segment.start)
+      ? `<p>${htmlTime(entry, segment.start)} ${escapeHtml(segment.text.trim())}</p>`
+      : `<p>${escapeHtml(segment.text.trim())}</p>`)).join('\n')
+    : htmlParagraphs(entry.transcript);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(entry.language || 'en')}" dir="${rtl ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.7; color: #333; }
+h1 { line-height: 1.3; }
+ul.metadata { list-style: none; padding: 0; color: #555; }
+.time { font-family: monospace; color: #667eea; margin-inline-end: 0.5rem; text-decoration: none; }
+.transcript p { margin: 0.25rem 0; }
+</style>
+</head>
+<body>
+<h1 dir="auto">${title}</h1>
+<ul class="metadata">
+${metadata}
+</ul>
+${summary}
+<h2>Transcript</h2>
+<div class="transcript"${transcriptLanguage}>
+${transcript}
+</div>
+</body>
+</html>
+`;
+}
+
+export function renderSrt(entry) {
+  return segmentsToSrt(transcriptSegments(entry).segments);
+}
+
+// The title, source and summary go in NOTE blocks, which players ignore
+export function renderVtt(entry) {
+  const { segments, estimated } = transcriptSegments(entry);
+  return segmentsToVtt(segments, [
+    [titleOf(entry), sourceUrlOf(entry)].filter(Boolean).join('\n'),
+    estimated && 'Timings are estimated: this transcript has no timestamps.',
+    summaryText(entry) && `Summary:\n${summaryText(entry)}`
+  ]);
+}
+
+// The entry with its transcript replaced by a stored translation (library.getTranslation), for the subtitle
+// formats. Translated lines keep their segment's timing; lines without times are timed like the original.
+export function withTranslation(entry, translation) {
+  return {
+    ...entry,
+    language: translation.language,
+    segments: isTimed(translation.segments) ? translation.segments : [],
+    transcript: translation.segments.map(segment => segment.text).join('\n')
+  };
+}
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: renderJson },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml },
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8', render: renderSrt },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8', render: renderVtt }
+};
+
+// Download file name from the title ("My Talk" → "My-Talk.md"), keeping letters of any script
+export function exportFileName(entry, extension) {
+  const base = titleOf(entry)
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${base || 'summary'}.${extension}`;
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+
+// In-memory job queue.
+// Each job keeps the full list of progress events it emitted, so a client can
+// reconnect to GET /api/jobs/:id/events and have the progress replayed.
+// Streamed text (events with a `delta`, one per few tokens) is not kept event by event: it is collected
+// in job.stream and kept as a single event with the whole `streamedText` once the next regular event arrives.
+
+// How many jobs may run at the same time (whisper/ollama runs are CPU/GPU heavy)
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1);
+// How long finished jobs (and their events) are kept around for reconnecting clients
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// The text streamed so far as one event. id is null while the stream is still growing.
+function streamEvent(job, id) {
+  const { stage, status, data, text } = job.stream;
+  return { id, data: { jobId: job.id, stage, status, ...data, streamedText: text } };
+}
+
+// Add the finished stream to the job history (listeners already got its deltas)
+function storeStream(job) {
+  if (!job.stream) return;
+  job.events.push(streamEvent(job, job.events.length));
+  job.stream = null;
+}
+
+// Append an event to the job history and push it to every connected listener.
+// Delta events are only pushed (without an id) and their text added to job.stream.
+function emit(job, stage, status, data = {}) {
+  let event;
+  if (typeof data.delta === 'string') {
+    if (job.stream && job.stream.stage !== stage) {
+      storeStream(job);
+    }
+    const { delta, ...rest } = data;
+    job.stream = { stage, status, data: rest, text: (job.stream?.text || '') + delta };
+    event = { id: null, data: { jobId: job.id, stage, status, ...data } };
+  } else {
+    storeStream(job);
+    event = { id: job.events.length, data: { jobId: job.id, stage, status, ...data } };
+    job.events.push(event);
+  }
+  for (const listener of job.listeners) {
+    listener(event);
+  }
+}
+
+// Tell listeners the job is over so they can close their streams
+function finish(job, status) {
+  storeStream(job);
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  for (const listener of job.listeners) {
+    listener(null);
+  }
+  job.listeners.clear();
+
+  // Forget the job after the retention period
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+function announceQueuePositions() {
+  queue.forEach((job, index) => {
+    emit(job, 'queued', 'queued', {
+      message: index === 0 ? 'Waiting for a running job to finish...' : `Waiting in queue (${index} job(s) ahead)...`,
+      position: index
+    });
+  });
+}
+
+async function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.result = await job.runner({
+      emit: (stage, status, data) => emit(job, stage, status, data),
+      signal: job.controller.signal
+    });
+    finish(job, 'completed');
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      emit(job, 'cancelled', 'cancelled', { message: 'Job cancelled' });
+      finish(job, 'cancelled');
+    } else {
+      console.error(`Job ${job.id} failed: ${error.message}`);
+      job.error = error.message || 'Unknown error occurred';
+      emit(job, 'error', 'error', {
+        error: 'Failed to process video',
+        message: job.error,
+        ...(error.progress ? { progress: error.progress } : {})
+      });
+      finish(job, 'failed');
+    }
+  } finally {
+    runningCount--;
+    processQueue();
+  }
+}
+
+function processQueue() {
+  let started = false;
+  while (runningCount < JOB_CONCURRENCY && queue.length > 0) {
+    runJob(queue.shift());
+    started = true;
+  }
+  if (started) {
+    announceQueuePositions();
+  }
+}
+
+// Create a job and queue it. runner({ emit, signal }) does the work:
+// emit(stage, status, data) records a progress event, signal aborts when the job is cancelled.
+// The runner's return value becomes job.result; a thrown error fails the job.
+export function createJob(type, params, runner) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    events: [],
+    stream: null,
+    listeners: new Set(),
+    controller: new AbortController(),
+    runner
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+
+  if (runningCount >= JOB_CONCURRENCY) {
+    announceQueuePositions();
+  }
+  processQueue();
+
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+// Cancel a queued or running job. Running jobs are aborted through their AbortSignal,
+// which kills child processes and in-flight HTTP requests started with it.
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) {
+    return false;
+  }
+
+  const queueIndex = queue.indexOf(job);
+  if (queueIndex !== -1) {
+    queue.splice(queueIndex, 1);
+    job.controller.abort();
+    emit(job, 'cancelled', 'cancelled', { message: 'Job cancelled' });
+    finish(job, 'cancelled');
+    announceQueuePositions();
+    return true;
+  }
+
+  job.controller.abort();
+  return true;
+}
+
+// Replay events after afterEventId (-1 for all) and follow new ones.
+// listener(event) is called for every event, then listener(null) once the job is finished.
+// A stream in progress is replayed as one event with its `streamedText` so far (and a null id).
+// Returns an unsubscribe function.
+export function subscribeToJob(job, afterEventId, listener) {
+  for (const event of job.events) {
+    if (event.id > afterEventId) {
+      listener(event);
+    }
+  }
+  if (job.stream) {
+    listener(streamEvent(job, null));
+  }
+
+  if (isFinished(job)) {
+    listener(null);
+    return () => {};
+  }
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+// Public view of a job (no runner, controller or listeners)
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    params: job.params,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    result: job.result,
+    eventCount: job.events.length
+  };
+}
+
+export { JOB_CONCURRENCY };
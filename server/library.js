@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+// Summaries library: a JSON index (data/library.json) with one entry per summarized video.
+// Entries point at the transcript/segments/summary files in data/ rather than copying them.
+// Transcript translations are listed per language in `translations`: { he: { file, model, createdAt, ... } }.
+
+const INDEX_VERSION = 1;
+const SNIPPET_RADIUS = 80;
+
+// Split a saved "-summary.txt" file into its header fields, transcript and summary
+export function parseSummaryFile(content) {
+  const transcriptMarker = '=== TRANSCRIPT ===';
+  const summaryMarker = '=== SUMMARY ===';
+  const transcriptIndex = content.indexOf(transcriptMarker);
+  const summaryIndex = content.lastIndexOf(summaryMarker);
+
+  // The header ends at the first section (CHAPTERS or TRANSCRIPT)
+  const firstSectionIndex = content.search(/^=== [A-Z]+ ===$/m);
+  const header = firstSectionIndex === -1 ? content : content.slice(0, firstSectionIndex);
+  const fields = {};
+  for (const line of header.split(/\r?\n/)) {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) {
+      fields[match[1].trim()] = match[2].trim();
+    }
+  }
+
+  return {
+    fields,
+    transcript: transcriptIndex !== -1 && summaryIndex > transcriptIndex
+      ? content.slice(transcriptIndex + transcriptMarker.length, summaryIndex).trim()
+      : '',
+    summary: summaryIndex !== -1 ? content.slice(summaryIndex + summaryMarker.length).trim() : ''
+  };
+}
+
+// Every data/ file an entry points to
+function entryFiles(entry) {
+  return [
+    ...Object.values(entry.files),
+    ...Object.values(entry.translations || {}).map(translation => translation.file)
+  ];
+}
+
+// Text around the first match of any search term
+function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i !== -1));
+  if (!Number.isFinite(index)) return null;
+
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + SNIPPET_RADIUS);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`;
+}
+
+export function createLibrary(dataDir) {
+  const indexPath = path.join(dataDir, 'library.json');
+
+  const readFile = (filename) => {
+    if (!filename) return null;
+    const filePath = path.join(dataDir, filename);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  };
+
+  // Full transcript and summary text of an entry (older entries only have the combined summary file)
+  const readTexts = (entry) => {
+    const summaryFile = parseSummaryFile(readFile(entry.files.summary) || '');
+    return {
+      transcript: readFile(entry.files.transcript) ?? summaryFile.transcript,
+      summary: summaryFile.summary
+    };
+  };
+
+  const load = () => {
+    try {
+      return fs.readJsonSync(indexPath).entries || [];
+    } catch (error) {
+      if (fs.existsSync(indexPath)) {
+        console.error(`Failed to read summaries library ${indexPath}: ${error.message}`);
+      }
+      return [];
+    }
+  };
+
+  // Write to a temp file first so a crash can't leave a half-written index
+  const save = (entries) => {
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeJsonSync(tempPath, { version: INDEX_VERSION, entries }, { spaces: 2 });
+    fs.moveSync(tempPath, indexPath, { overwrite: true });
+  };
+
+  // Index "-summary.txt" files written before the library existed
+  const importExistingSummaries = () => {
+    const summaryFiles = fs.readdirSync(dataDir).filter(f => f.endsWith('-summary.txt'));
+    const entries = summaryFiles.map(filename => {
+      const { fields } = parseSummaryFile(readFile(filename));
+      const youtubeUrl = fields['YouTube URL'] || null;
+      return {
+        id: crypto.randomUUID(),
+        createdAt: fields.Timestamp || fs.statSync(path.join(dataDir, filename)).mtime.toISOString(),
+        videoId: youtubeUrl?.match(/(?:v=|youtu\.be\/)([^"&?/\s]{11})/)?.[1] || null,
+        youtubeUrl,
+        title: fields.Title || null,
+        language: fields.Language || null,
+        transcriptSource: null,
+        usedYouTubeTranscript: null,
+        model: null,
+        files: { transcript: null, segments: null, summary: filename }
+      };
+    });
+
+    save(entries);
+    if (entries.length > 0) {
+      console.log(`Summaries library: imported ${entries.length} existing summary file(s)`);
+    }
+  };
+
+  if (!fs.existsSync(indexPath)) {
+    importExistingSummaries();
+  }
+
+  return {
+    // Record a run. files: { transcript, segments, summary, chapters } file names in data/
+    add(record) {
+      const entry = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        title: null,
+        ...record
+      };
+      const entries = load();
+      entries.push(entry);
+      save(entries);
+      return entry;
+    },
+
+    get(id) {
+      return load().find(entry => entry.id === id) || null;
+    },
+
+    findBySummaryFile(filename) {
+      return load().find(entry => entry.files.summary === filename) || null;
+    },
+
+    // Merge fields into an existing entry
+    update(id, changes) {
+      const entries = load();
+      const entry = entries.find(e => e.id === id);
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      save(entries);
+      return entry;
+    },
+
+    // Entry with the full transcript, summary, segments and (for chapter summaries) the chapter outline
+    getWithContent(id) {
+      const entry = this.get(id);
+      if (!entry) return null;
+
+      const segmentsFile = readFile(entry.files.segments);
+      const chaptersFile = readFile(entry.files.chapters);
+      return {
+        ...entry,
+        ...readTexts(entry),
+        segments: segmentsFile ? JSON.parse(segmentsFile).segments : [],
+        chapterSummary: chaptersFile ? JSON.parse(chaptersFile) : null
+      };
+    },
+
+    // A stored transcript translation ({ language, sourceLanguage, model, createdAt, untranslated, segments }) or null
+    getTranslation(id, language) {
+      const content = readFile(this.get(id)?.translations?.[language]?.file);
+      return content ? JSON.parse(content) : null;
+    },
+
+    // Filter by videoId/language/transcriptSource and search transcripts and summaries (all terms must match).
+    // Newest first. Returns { total, entries } with a `snippet` on each entry when q is set.
+    search({ q, videoId, language, transcriptSource, limit = 50, offset = 0 } = {}) {
+      const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+      const matches = load()
+        .filter(entry => !videoId || entry.videoId === videoId)
+        .filter(entry => !language || entry.language === language)
+        .filter(entry => !transcriptSource || entry.transcriptSource === transcriptSource)
+        .map(entry => {
+          if (terms.length === 0) return entry;
+
+          const { transcript, summary } = readTexts(entry);
+          const haystack = [entry.title, entry.metadata?.channel, entry.videoId, entry.youtubeUrl, entry.sourceUrl, entry.fileName, summary, transcript]
+            .filter(Boolean)
+            .join('\n')
+            .toLowerCase();
+          if (!terms.every(term => haystack.includes(term))) return null;
+
+          return { ...entry, snippet: makeSnippet(summary, terms) || makeSnippet(transcript, terms) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+    },
+
+    // Remove an entry and the files only it points to (cached runs can share transcript files)
+    remove(id) {
+      const entries = load();
+      const entry = entries.find(e => e.id === id);
+      if (!entry) return false;
+
+      const remaining = entries.filter(e => e.id !== id);
+      const stillUsed = new Set(remaining.flatMap(entryFiles));
+      for (const filename of entryFiles(entry)) {
+        if (filename && !stillUsed.has(filename)) {
+          fs.removeSync(path.join(dataDir, filename));
+        }
+      }
+
+      save(remaining);
+      return true;
+    }
+  };
+}
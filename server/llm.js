@@ -0,0 +1,299 @@
+import axios from 'axios';
+
+// LLM providers behind one interface, selected with LLM_PROVIDER:
+//   ollama   - Ollama's /api/generate and /api/chat (default)
+//   openai   - any OpenAI-compatible /v1/chat/completions server (LM Studio, vLLM, OpenAI, ...)
+//   llamacpp - llama.cpp's llama-server (OpenAI-compatible endpoint)
+//
+// Every provider has generate(prompt, options) and chat(messages, options), both resolving to the response text.
+// options: { model, numPredict, temperature, topP, repeatPenalty, signal, onToken }
+// `model` overrides the configured model for one call. With onToken the response is streamed
+// and onToken(text) receives new text as it is generated.
+// listModels() resolves to the models the server offers: [{ name, size?, modifiedAt? }].
+// embed(texts, { model, signal }) resolves to one embedding vector per text (for an embedding model,
+// e.g. Ollama's nomic-embed-text).
+
+// Streamed tokens are forwarded in batches, at most one batch per this many milliseconds
+const STREAM_FLUSH_MS = 150;
+// Time allowed without a response (or, when streaming, without a new token)
+const REQUEST_TIMEOUT_MS = 180000;
+
+const DEFAULT_OPTIONS = {
+  numPredict: 5000,
+  temperature: 0.3, // Lower temperature for more focused, consistent summaries (especially for Hebrew)
+  topP: 0.9,
+  repeatPenalty: 1.1 // Reduce repetition
+};
+
+// Collect streamed text and pass it on in batches
+function createTokenBatcher(onToken) {
+  let pending = '';
+  let lastFlush = Date.now();
+
+  return {
+    push(text) {
+      pending += text;
+      if (Date.now() - lastFlush >= STREAM_FLUSH_MS) {
+        this.flush();
+      }
+    },
+    flush() {
+      if (pending) {
+        onToken(pending);
+        pending = '';
+      }
+      lastFlush = Date.now();
+    }
+  };
+}
+
+// Call handleLine for every non-empty line of a response stream
+async function readLines(stream, handleLine) {
+  let buffered = '';
+  stream.setEncoding('utf8'); // Don't split multi-byte characters (e.g. Hebrew) across chunks
+  for await (const chunk of stream) {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    lines.filter(line => line.trim()).forEach(handleLine);
+  }
+  if (buffered.trim()) {
+    handleLine(buffered);
+  }
+}
+
+// POST a request and return the response text. pickText(data) extracts the text from a
+// (non-streamed) response body or from one parsed stream line; parseLine turns a stream line into data.
+async function postForText(url, body, { headers, signal, onToken, pickText, parseLine, describeError }) {
+  const stream = typeof onToken === 'function';
+
+  try {
+    const response = await axios.post(url, { ...body, stream }, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: stream ? 'stream' : 'json',
+      signal
+    });
+
+    if (!stream) {
+      return pickText(response.data) || '';
+    }
+
+    let text = '';
+    const batcher = createTokenBatcher(onToken);
+    await readLines(response.data, (line) => {
+      const data = parseLine(line);
+      if (!data) return;
+      if (data.error) {
+        throw new Error(data.error.message || data.error);
+      }
+      const delta = pickText(data) || '';
+      text += delta;
+      batcher.push(delta);
+    });
+    batcher.flush();
+    return text;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw new Error(describeError(error));
+  }
+}
+
+// POST a request and return its JSON body, mapping failures through describeError
+async function postJson(url, body, { headers, signal, describeError }) {
+  try {
+    const response = await axios.post(url, body, { headers, timeout: REQUEST_TIMEOUT_MS, signal });
+    return response.data;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw new Error(describeError(error));
+  }
+}
+
+// Embedding vectors must be non-empty lists of numbers
+function checkEmbedding(embedding) {
+  if (!Array.isArray(embedding) || embedding.length === 0) {
+    throw new Error('The embedding model returned no embedding - is it an embedding model?');
+  }
+  return embedding;
+}
+
+// GET a JSON endpoint, mapping failures through describeError
+async function getJson(url, { headers, describeError }) {
+  try {
+    const response = await axios.get(url, { headers, timeout: 10000 });
+    return response.data;
+  } catch (error) {
+    throw new Error(describeError(error, 'list models'));
+  }
+}
+
+function createOllamaProvider({ baseUrl = 'http://localhost:11434', model: defaultModel = 'qwen2.5:latest' }) {
+  const describeError = (error, action = 'generate summary', model = defaultModel) => {
+    if (error.code === 'ECONNREFUSED') {
+      return `Failed to connect to Ollama at ${baseUrl}. Make sure Ollama is running.`;
+    }
+    if (error.response?.status === 404 && action === 'create embeddings') {
+      return `Ollama embedding model "${model}" not found. Install with: ollama pull ${model}`;
+    }
+    if (error.response?.status === 404) {
+      return `Ollama model "${model}" not found. Available models: qwen2.5:latest, llama3:latest, llama3.2:latest. Install with: ollama pull ${model}`;
+    }
+    return `Failed to ${action}: ${error.message}`;
+  };
+
+  const request = (endpoint, body, pickText, options) => {
+    const { model = defaultModel, numPredict, temperature, topP, repeatPenalty, signal, onToken } = { ...DEFAULT_OPTIONS, ...options };
+    return postForText(`${baseUrl}${endpoint}`, {
+      model,
+      ...body,
+      options: {
+        temperature,
+        num_predict: numPredict,
+        top_p: topP,
+        repeat_penalty: repeatPenalty
+      }
+    }, {
+      signal,
+      onToken,
+      pickText,
+      parseLine: line => JSON.parse(line), // NDJSON: one JSON object per line
+      describeError: error => describeError(error, 'generate summary', model)
+    });
+  };
+
+  return {
+    name: 'ollama',
+    label: 'Ollama',
+    baseUrl,
+    model: defaultModel,
+    generate: (prompt, options = {}) => request('/api/generate', { prompt }, data => data.response, options),
+    chat: (messages, options = {}) => request('/api/chat', { messages }, data => data.message?.content, options),
+    // /api/embeddings takes one text per request
+    async embed(texts, { model = defaultModel, signal } = {}) {
+      const embeddings = [];
+      for (const text of texts) {
+        const data = await postJson(`${baseUrl}/api/embeddings`, { model, prompt: text }, {
+          signal,
+          describeError: error => describeError(error, 'create embeddings', model)
+        });
+        embeddings.push(checkEmbedding(data.embedding));
+      }
+      return embeddings;
+    },
+    async listModels() {
+      const data = await getJson(`${baseUrl}/api/tags`, { describeError });
+      return (data.models || []).map(m => ({ name: m.name, size: m.size ?? null, modifiedAt: m.modified_at ?? null }));
+    }
+  };
+}
+
+// OpenAI-compatible chat completions. baseUrl includes the /v1 prefix.
+// llama.cpp's llama-server speaks the same protocol, but serves a single model and gets its own error hints.
+function createOpenAICompatibleProvider({ name, label, baseUrl, model: defaultModel, apiKey, connectHint, notFoundHint }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const describeError = (error, action = 'generate summary', model = defaultModel) => {
+    const status = error.response?.status;
+    if (error.code === 'ECONNREFUSED') {
+      return `Failed to connect to ${label} at ${baseUrl}. ${connectHint}`;
+    }
+    if (status === 401 || status === 403) {
+      return `${label} at ${baseUrl} rejected the request (HTTP ${status}). Check LLM_API_KEY.`;
+    }
+    if (status === 404 && action === 'create embeddings') {
+      return `${label}: model "${model}" or the /embeddings endpoint was not found.${name === 'llamacpp' ? ' Start llama-server with --embeddings.' : ''}`;
+    }
+    if (status === 404) {
+      return `${label}: ${notFoundHint(model)}`;
+    }
+    // Non-streamed error bodies look like { error: { message } }
+    const message = error.response?.data?.error?.message;
+    return `Failed to ${action}: ${message || error.message}`;
+  };
+
+  const request = (messages, options) => {
+    const { model = defaultModel, numPredict, temperature, topP, repeatPenalty, signal, onToken } = { ...DEFAULT_OPTIONS, ...options };
+    return postForText(`${baseUrl}/chat/completions`, {
+      ...(model ? { model } : {}),
+      messages,
+      temperature,
+      top_p: topP,
+      max_tokens: numPredict,
+      // llama.cpp accepts its native sampling options too
+      ...(name === 'llamacpp' ? { repeat_penalty: repeatPenalty } : {})
+    }, {
+      headers,
+      signal,
+      onToken,
+      // Non-streamed responses carry choices[0].message, stream chunks choices[0].delta
+      pickText: data => data.choices?.[0]?.message?.content ?? data.choices?.[0]?.delta?.content,
+      // Server-Sent Events: "data: {...}" lines, ending with "data: [DONE]"
+      parseLine: (line) => {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || payload === '[DONE]') return null;
+        return JSON.parse(payload);
+      },
+      describeError: error => describeError(error, 'generate summary', model)
+    });
+  };
+
+  return {
+    name,
+    label,
+    baseUrl,
+    model: defaultModel || name,
+    generate: (prompt, options = {}) => request([{ role: 'user', content: prompt }], options),
+    chat: (messages, options = {}) => request(messages, options),
+    async embed(texts, { model = defaultModel, signal } = {}) {
+      const data = await postJson(`${baseUrl}/embeddings`, { ...(model ? { model } : {}), input: texts }, {
+        headers,
+        signal,
+        describeError: error => describeError(error, 'create embeddings', model)
+      });
+      return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map(item => checkEmbedding(item.embedding));
+    },
+    async listModels() {
+      const data = await getJson(`${baseUrl}/models`, { headers, describeError });
+      return (data.data || []).map(m => ({ name: m.id }));
+    }
+  };
+}
+
+// Create the provider named by `provider`. baseUrl and model fall back to each provider's defaults.
+export function createLlmProvider({ provider = 'ollama', baseUrl, model, apiKey } = {}) {
+  switch (provider) {
+    case 'ollama':
+      return createOllamaProvider({ baseUrl, model });
+    case 'openai':
+      if (!model) {
+        throw new Error('LLM_MODEL must be set when LLM_PROVIDER is "openai"');
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        label: 'OpenAI-compatible server',
+        baseUrl: baseUrl || 'http://localhost:1234/v1',
+        model,
+        apiKey,
+        connectHint: 'Make sure the server is running and LLM_BASE_URL points at it (including /v1).',
+        notFoundHint: m => `model "${m}" or the /chat/completions endpoint was not found. Check the model name and that LLM_BASE_URL ends in /v1.`
+      });
+    case 'llamacpp':
+      return createOpenAICompatibleProvider({
+        name: 'llamacpp',
+        label: 'llama.cpp server',
+        baseUrl: baseUrl || 'http://localhost:8080/v1',
+        model,
+        apiKey,
+        connectHint: 'Start it with: llama-server -m <model.gguf> --port 8080',
+        notFoundHint: () => 'the /v1/chat/completions endpoint was not found. Make sure you are running llama-server and LLM_BASE_URL ends in /v1.'
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected ollama, openai or llamacpp)`);
+  }
+}
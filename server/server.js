@@ -1,29 +1,52 @@
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
-import os from 'os';
 import { fileURLToPath } from 'url';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import axios from 'axios';
 import { YoutubeTranscript } from 'youtube-transcript';
-
-const execAsync = promisify(exec);
+import { createCache, hashKey } from './cache.js';
+import { createLibrary } from './library.js';
+import { createLlmProvider } from './llm.js';
+import { formatDuration, parseSrtToSegments, parseSubtitleFile, segmentsToText, SUBTITLE_FORMATS } from './subtitles.js';
+import {
+  canonicalYouTubeUrl,
+  extractVideoId,
+  ffmpegToWavArgs,
+  formatCommand,
+  isValidLanguageCode,
+  isValidVideoId,
+  normalizeSourceUrl,
+  runCommand,
+  spawnCommand,
+  whisperArgs,
+  ytDlpAudioArgs,
+  ytDlpMetadataArgs,
+  ytDlpPlaylistArgs,
+  ytDlpSubtitleArgs
+} from './commands.js';
+import { EXPORT_FORMATS, exportFileName, withTranslation } from './exporters.js';
+import { TEMPLATE_PLACEHOLDERS, createTemplateStore, isValidTemplateId, renderTemplate, templateIdFromName, validateTemplate } from './templates.js';
+import { createEmbeddingIndex, createEmbeddingProviderFromEnv } from './embeddings.js';
+import { buildChatMessages, buildPassages, createChatStore, findCitations, selectPassages } from './chat.js';
+import { transcriptLines, translateLines } from './translation.js';
+import { applyItemEvent, batchProgress, createBatchItems, isNestedPlaylist, parsePlaylistEntries, serializeBatchItem } from './batches.js';
+import {
+  checkCommand,
+  findWhisperModel,
+  getWhisperModelDirs,
+  installHint,
+  isMissingCommand,
+  listWhisperModels,
+  missingDependencyError
+} from './dependencies.js';
+import { createJob, getJob, listJobs, cancelJob, subscribeToJob, serializeJob, JOB_CONCURRENCY } from './jobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Cross-platform home directory resolution
-function getHomeDir() {
-  return process.env.HOME || process.env.USERPROFILE || os.homedir();
-}
-
-// Detect platform for OS-specific error messages
-function getPlatform() {
-  return process.platform === 'win32' ? 'windows' : 'macos';
-}
-
 const app = express();
 app.use(cors());
 app.use(express.json());
@@ -34,22 +57,39 @@ const tmpDir = path.join(__dirname, 'tmp');
 fs.ensureDirSync(dataDir);
 fs.ensureDirSync(tmpDir);
 
+// Content cache for transcripts and summaries (data/cache)
+const cache = createCache(path.join(dataDir, 'cache'));
+
+// Index of every summarized video (data/library.json)
+const library = createLibrary(dataDir);
+
+// Prompt templates for summaries (data/templates)
+const templates = createTemplateStore(path.join(dataDir, 'templates'));
+
+// Follow-up Q&A conversations per summary (data/chats)
+const chats = createChatStore(path.join(dataDir, 'chats'));
+
 // Serve generated files so they can be opened from the UI
 app.use('/data', express.static(dataDir));
 app.use('/tmp', express.static(tmpDir));
 
-// Ollama configuration (for summarization only)
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'qwen2.5:latest'; // Model for summarization (default to qwen2.5:latest, or use llama3:latest, llama3.2:latest)
-// Note: Transcription uses local Whisper (Python package), not Ollama
+// LLM used for summarization (see llm.js). Ollama is the default; OLLAMA_BASE_URL/OLLAMA_MODEL still configure it.
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'ollama';
+const llm = createLlmProvider({
+  provider: LLM_PROVIDER,
+  baseUrl: process.env.LLM_BASE_URL || (LLM_PROVIDER === 'ollama' ? process.env.OLLAMA_BASE_URL : undefined),
+  model: process.env.LLM_MODEL || (LLM_PROVIDER === 'ollama' ? process.env.OLLAMA_MODEL : undefined),
+  apiKey: process.env.LLM_API_KEY
+});
+
+// Semantic search over every transcript (data/embeddings), embedded with EMBEDDING_MODEL (see embeddings.js)
+const searchIndex = createEmbeddingIndex(path.join(dataDir, 'embeddings'), createEmbeddingProviderFromEnv());
 
-// Extract video ID from YouTube URL
-function extractVideoId(url) {
-  const match = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
-  return match ? match[1] : null;
-}
+// Warn before transcribing videos longer than this with Whisper (minutes)
+const WHISPER_LONG_VIDEO_MINUTES = parseInt(process.env.WHISPER_LONG_VIDEO_MINUTES, 10) || 60;
+// Note: Transcription uses local Whisper (Python package), not the LLM
 
-// Map language codes to YouTube language codes (YouTube uses different codes)
+// Map language codes to YouTube language codes (YouTube uses different codes) - YouTube sources only
 const youtubeLangMap = {
   'he': 'iw',  // Hebrew
   'en': 'en',
@@ -65,82 +105,16 @@ const youtubeLangMap = {
   'ar': 'ar'
 };
 
-// Parse VTT subtitle file and extract plain text transcript (following Python implementation)
-function vttToText(vtt) {
-  try {
-    // Remove WEBVTT header
-    vtt = vtt.replace(/^WEBVTT.*?\n\n/ms, '');
-    
-    const out = [];
-    const lines = vtt.split(/\r?\n/);
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
-      
-      // Skip timestamps (format: 00:00:00.000 --> 00:00:00.000)
-      if (/^\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*/.test(trimmed)) continue;
-      
-      // Skip cue numbers (pure digits)
-      if (/^\d+$/.test(trimmed)) continue;
-      
-      // Remove tags like <c>, <i>, etc.
-      const cleaned = trimmed.replace(/<[^>]+>/g, '').trim();
-      if (cleaned) {
-        out.push(cleaned);
-      }
-    }
-    
-    // De-dupe consecutive duplicates (common in captions)
-    const deduped = [];
-    let prev = null;
-    for (const l of out) {
-      if (l !== prev) {
-        deduped.push(l);
-      }
-      prev = l;
-    }
-    
-    return deduped.join('\n').trim();
-  } catch (error) {
-    console.error('Error parsing VTT file:', error.message);
-    return null;
-  }
-}
-
-// Parse SRT subtitle file and extract plain text transcript
-function parseSrtToText(srtContent) {
-  try {
-    // SRT format: sequence number, timestamp, text, blank line
-    const lines = srtContent.split(/\r?\n/);
-    const textLines = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      if (/^\d+$/.test(line)) continue; // Skip sequence numbers
-      if (/^\d{2}:\d{2}:\d{2}[,.]\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}[,.]\d{3}/.test(line)) continue; // Skip timestamps
-      if (line.length > 0) {
-        textLines.push(line);
-      }
-    }
-    
-    return textLines.join(' ').trim();
-  } catch (error) {
-    console.error('Error parsing SRT file:', error.message);
-    return null;
-  }
-}
-
-// Find downloaded subtitle file (following Python glob pattern logic)
-function findDownloadedSubtitle(tmpDirPath, lang, format) {
+// Find downloaded subtitle file (following Python glob pattern logic).
+// formats: the subtitle file extensions to look for
+function findDownloadedSubtitle(tmpDirPath, lang, formats) {
   try {
     const files = fs.readdirSync(tmpDirPath);
     // yt-dlp subtitle filenames can look like: transcript.iw.vtt or transcript.iw.iw.vtt
     // Find files matching the pattern
     const candidates = files
       .filter(f => {
-        const pattern = new RegExp(`^transcript.*\\.${lang}.*\\.${format}$`);
+        const pattern = new RegExp(`^transcript.*\\.${lang}.*\\.(?:${formats.join('|')})$`);
         return pattern.test(f);
       })
       .map(f => ({
@@ -157,52 +131,28 @@ function findDownloadedSubtitle(tmpDirPath, lang, format) {
   }
 }
 
-// Get transcript using yt-dlp (following Python implementation - more reliable)
-async function getTranscriptWithYtDlp(videoIdOrUrl, language = 'en') {
+// Get transcript using yt-dlp (following Python implementation - more reliable).
+// Works for any yt-dlp-supported URL; subtitleLanguage is the site's language code (or a yt-dlp --sub-langs pattern).
+// subFormats are the subtitle formats to accept, in order of preference (YouTube: VTT as per Python implementation).
+// Returns { text, segments } or null
+async function getTranscriptWithYtDlp(url, subtitleLanguage, signal, subFormats = ['vtt']) {
   try {
-    const videoId = extractVideoId(videoIdOrUrl);
-    if (!videoId) {
-      console.error('Error: Invalid video ID or URL');
-      return null;
-    }
-    
-    // Map language code to YouTube's language code
-    const youtubeLang = youtubeLangMap[language] || language;
-    const subFormat = 'vtt'; // Use VTT format as per Python implementation
-    
     // Use simple output base name so files start with "transcript..."
     // This produces transcript.iw.vtt OR transcript.iw.iw.vtt depending on yt-dlp
-    // Use proper quoting for the output template with placeholder
     const outputTemplate = path.join(tmpDir, 'transcript.%(language)s');
+    const args = ytDlpSubtitleArgs(url, subtitleLanguage, subFormats.join('/'), outputTemplate);
+    // Files are named after the language yt-dlp found, so look for the language code without any pattern characters
+    const fileLanguage = subtitleLanguage.replace(/[^\w-].*$/, '');
     
-    // Build command array - each argument as separate element for proper escaping
-    const cmdParts = [
-      'yt-dlp',
-      '--skip-download',
-      '--write-subs',
-      '--sub-langs', youtubeLang,
-      '--sub-format', subFormat,
-      '-o', outputTemplate,
-      videoIdOrUrl
-    ];
-    
-    // Join with spaces and properly quote arguments that might have special chars
-    const cmd = cmdParts.map(arg => {
-      // If arg contains spaces or special chars, quote it
-      if (arg.includes(' ') || arg.includes('(') || arg.includes(')')) {
-        return `"${arg.replace(/"/g, '\\"')}"`;
-      }
-      return arg;
-    }).join(' ');
-    
-    console.log(`Attempting to fetch transcript using yt-dlp with language: ${youtubeLang}`);
-    console.log(`Command: ${cmd}`);
+    console.log(`Attempting to fetch transcript using yt-dlp with language: ${subtitleLanguage}`);
+    console.log(`Command: ${formatCommand('yt-dlp', args)}`);
     
     try {
-      const { stdout, stderr } = await execAsync(cmd, {
+      const { stdout, stderr } = await runCommand('yt-dlp', args, {
         maxBuffer: 10 * 1024 * 1024, // 10MB buffer
         timeout: 60000, // 60 seconds timeout
-        cwd: tmpDir // Run in tmpDir so output files are created there
+        cwd: tmpDir, // Run in tmpDir so output files are created there
+        signal
       });
       
       if (stdout) {
@@ -212,15 +162,16 @@ async function getTranscriptWithYtDlp(videoIdOrUrl, language = 'en') {
         console.log('yt-dlp stderr:', stderr);
       }
       
-      // Find the downloaded VTT file (following Python glob pattern)
-      const subtitlePath = findDownloadedSubtitle(tmpDir, youtubeLang, subFormat);
+      // Find the downloaded subtitle file (following Python glob pattern)
+      const subtitlePath = findDownloadedSubtitle(tmpDir, fileLanguage, subFormats);
       
       if (subtitlePath && fs.existsSync(subtitlePath)) {
         console.log(`Found subtitle file: ${path.basename(subtitlePath)}`);
-        const vttContent = fs.readFileSync(subtitlePath, 'utf-8');
+        const subtitleContent = fs.readFileSync(subtitlePath, 'utf-8');
         
-        // Parse VTT to get plain text
-        const transcriptText = vttToText(vttContent);
+        // Parse the subtitles into timed segments and plain text
+        const segments = parseSubtitleFile(subtitleContent, path.extname(subtitlePath)) || [];
+        const transcriptText = segmentsToText(segments, '\n');
         
         // Clean up the subtitle file
         try {
@@ -230,26 +181,22 @@ async function getTranscriptWithYtDlp(videoIdOrUrl, language = 'en') {
         }
         
         if (transcriptText && transcriptText.length > 0) {
-          console.log(`✓ Transcript retrieved using yt-dlp (${transcriptText.length} characters)`);
-          return transcriptText;
+          console.log(`✓ Transcript retrieved using yt-dlp (${transcriptText.length} characters, ${segments.length} segments)`);
+          return { text: transcriptText, segments, source: 'yt-dlp' };
         } else {
-          console.log('VTT file found but transcript text is empty after parsing');
+          console.log('Subtitle file found but transcript text is empty after parsing');
         }
       } else {
-        console.log(`No ${subFormat} file found matching transcript*.${youtubeLang}*.${subFormat}`);
+        console.log(`No subtitle file found matching transcript*.${fileLanguage}*.{${subFormats.join(',')}}`);
         // List files for debugging
         const files = fs.readdirSync(tmpDir);
-        const matchingFiles = files.filter(f => f.includes('transcript') && f.includes(youtubeLang));
+        const matchingFiles = files.filter(f => f.includes('transcript') && f.includes(fileLanguage));
         console.log('Files matching pattern:', matchingFiles);
       }
     } catch (error) {
       // Check if yt-dlp is installed
-      if (error.message.includes('yt-dlp: command not found') || error.message.includes('yt-dlp') && error.code === 'ENOENT') {
-        const platform = getPlatform();
-        const installMsg = platform === 'windows' 
-          ? 'yt-dlp is not installed or not in PATH. Install with: choco install yt-dlp ffmpeg (or download from https://github.com/yt-dlp/yt-dlp and add to PATH)'
-          : 'yt-dlp is not installed or not in PATH. Install with: brew install yt-dlp ffmpeg';
-        console.log(installMsg);
+      if (isMissingCommand(error, 'yt-dlp')) {
+        console.log(missingDependencyError('yt-dlp').message);
         return null;
       }
       // Check if it's a real error or just a warning
@@ -272,26 +219,30 @@ async function getTranscriptWithYtDlp(videoIdOrUrl, language = 'en') {
 }
 
 // Check if YouTube transcript is available and fetch it
-async function getYouTubeTranscript(videoIdOrUrl, language = 'en') {
+// Returns { text, segments } or null
+async function getYouTubeTranscript(videoId, language = 'en', signal) {
+  // Map language code to YouTube's language code
+  const youtubeLang = youtubeLangMap[language] || language;
+  
   // First, try using yt-dlp (more reliable)
   console.log('Trying yt-dlp method first...');
-  const ytDlpTranscript = await getTranscriptWithYtDlp(videoIdOrUrl, language);
-  if (ytDlpTranscript && ytDlpTranscript.length > 0) {
+  const ytDlpTranscript = await getTranscriptWithYtDlp(canonicalYouTubeUrl(videoId), youtubeLang, signal);
+  if (ytDlpTranscript && ytDlpTranscript.text.length > 0) {
     return ytDlpTranscript;
   }
+  if (signal?.aborted) {
+    return null;
+  }
   
   // Fallback to youtube-transcript package
   try {
-    // Map language code to YouTube's language code
-    const youtubeLang = youtubeLangMap[language] || language;
-    
     // Try to fetch transcript with the requested language first
     let transcriptData;
     
     try {
       // Try with the mapped language code
       console.log(`Attempting to fetch YouTube transcript with youtube-transcript package (language: ${youtubeLang})`);
-      transcriptData = await YoutubeTranscript.fetchTranscript(videoIdOrUrl, {
+      transcriptData = await YoutubeTranscript.fetchTranscript(videoId, {
         lang: youtubeLang
       });
       console.log(`Successfully fetched transcript with language: ${youtubeLang}`);
@@ -301,7 +252,7 @@ async function getYouTubeTranscript(videoIdOrUrl, language = 'en') {
       // If specific language fails, try without language option (gets default/available transcript)
       try {
         console.log('Trying to fetch default/available transcript...');
-        transcriptData = await YoutubeTranscript.fetchTranscript(videoIdOrUrl);
+        transcriptData = await YoutubeTranscript.fetchTranscript(videoId);
         console.log('Successfully fetched default transcript');
       } catch (error) {
         console.log(`Failed to fetch default transcript: ${error.message}`);
@@ -315,31 +266,31 @@ async function getYouTubeTranscript(videoIdOrUrl, language = 'en') {
       return null;
     }
 
-    // Combine transcript text into a single string
-    // The package returns: [{ text: '...', offset: 0, duration: 123 }, ...]
-    const transcriptText = transcriptData
+    // Convert entries into segments, keeping their timing
+    // The package returns: [{ text: '...', offset: 0, duration: 123 }, ...] (offset/duration in seconds)
+    const segments = transcriptData
       .map(entry => {
         // Handle different possible structures
         if (typeof entry === 'string') {
-          return entry;
-        } else if (entry && entry.text) {
-          return entry.text;
-        } else if (entry && entry.transcript) {
-          return entry.transcript;
+          return { start: null, end: null, text: entry };
         }
-        return '';
+        const text = entry?.text || entry?.transcript || '';
+        const start = Number.isFinite(entry?.offset) ? entry.offset : null;
+        const end = start !== null && Number.isFinite(entry?.duration) ? start + entry.duration : null;
+        return { start, end, text };
       })
-      .filter(text => text.trim().length > 0)
-      .join(' ')
-      .trim();
+      .filter(segment => segment.text.trim().length > 0);
+    
+    // Combine transcript text into a single string
+    const transcriptText = segmentsToText(segments, ' ');
 
     if (transcriptText.length === 0) {
       console.log('Transcript text is empty after processing');
       return null;
     }
 
-    console.log(`YouTube transcript retrieved successfully (${transcriptText.length} characters)`);
-    return transcriptText;
+    console.log(`YouTube transcript retrieved successfully (${transcriptText.length} characters, ${segments.length} segments)`);
+    return { text: transcriptText, segments, source: 'youtube-transcript' };
   } catch (error) {
     // Transcript not available for this video
     console.log('YouTube transcript not available:', error.message);
@@ -347,26 +298,116 @@ async function getYouTubeTranscript(videoIdOrUrl, language = 'en') {
   }
 }
 
-// Download audio from YouTube using yt-dlp (audio only, not video)
-async function downloadAudio(videoId) {
-  const url = `https://www.youtube.com/watch?v=${videoId}`;
+// Fetch video metadata (title, channel, upload date, duration, description, thumbnail, chapters)
+// plus yt-dlp's extractor name, the site's own ID for the video and its spoken language and subtitle tracks,
+// for any yt-dlp-supported URL.
+// Uses yt-dlp --dump-json; YouTube URLs fall back to YouTube's oEmbed endpoint (title, channel and thumbnail only).
+// Returns null if neither source works.
+async function getVideoMetadata(url, signal) {
+  try {
+    const args = ytDlpMetadataArgs(url);
+    console.log('Fetching video metadata:', formatCommand('yt-dlp', args));
+    
+    const { stdout } = await runCommand('yt-dlp', args, {
+      maxBuffer: 50 * 1024 * 1024, // Info JSON includes every format and can be several MB
+      timeout: 60000,
+      signal
+    });
+    const info = JSON.parse(stdout);
+    
+    return {
+      title: info.title || null,
+      channel: info.channel || info.uploader || null,
+      channelUrl: info.channel_url || info.uploader_url || null,
+      // yt-dlp reports upload_date as YYYYMMDD
+      uploadDate: info.upload_date ? info.upload_date.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3') : null,
+      duration: Number.isFinite(info.duration) ? info.duration : null,
+      description: info.description || null,
+      thumbnail: info.thumbnail || null,
+      chapters: (info.chapters || []).map(chapter => ({
+        title: chapter.title,
+        start: chapter.start_time,
+        end: chapter.end_time
+      })),
+      extractor: info.extractor_key || info.extractor || null,
+      id: info.id != null ? String(info.id) : null,
+      webpageUrl: info.webpage_url || url,
+      // The spoken language when the site reports it; YouTube marks its original-language captions "<lang>-orig"
+      language: info.language ||
+        Object.keys(info.automatic_captions || {}).find(lang => lang.endsWith('-orig'))?.replace(/-orig$/, '') ||
+        null,
+      subtitleLanguages: Object.keys(info.subtitles || {}).filter(lang => lang !== 'live_chat'),
+      source: 'yt-dlp'
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.log(`yt-dlp metadata fetch failed: ${error.message}`);
+  }
+  
+  const videoId = extractVideoId(url);
+  if (!videoId) {
+    return null;
+  }
+  
+  console.log('Trying oEmbed...');
+  try {
+    const response = await axios.get('https://www.youtube.com/oembed', {
+      params: { url, format: 'json' },
+      timeout: 15000,
+      signal
+    });
+    
+    return {
+      title: response.data.title || null,
+      channel: response.data.author_name || null,
+      channelUrl: response.data.author_url || null,
+      uploadDate: null,
+      duration: null,
+      description: null,
+      thumbnail: response.data.thumbnail_url || null,
+      chapters: [],
+      extractor: 'Youtube',
+      id: videoId,
+      webpageUrl: url,
+      language: null,
+      subtitleLanguages: [],
+      source: 'oembed'
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.log(`oEmbed metadata fetch failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Base language code of a site's or Whisper's language tag ("en-US" → "en", YouTube's "iw" → "he"), or null
+function normalizeLanguageCode(tag) {
+  const base = typeof tag === 'string' ? tag.toLowerCase().split(/[-_]/)[0] : '';
+  const code = base === 'iw' ? 'he' : base;
+  return isValidLanguageCode(code) ? code : null;
+}
+
+// The spoken language of a video for sourceLanguage "auto": the language the site reports, or the language
+// of its subtitle tracks when they are all in one language. null when it can't be told (Whisper detects it then).
+function detectSourceLanguage(metadata) {
+  const reported = normalizeLanguageCode(metadata?.language);
+  if (reported) return reported;
+  const trackLanguages = new Set((metadata?.subtitleLanguages || []).map(normalizeLanguageCode).filter(Boolean));
+  return trackLanguages.size === 1 ? [...trackLanguages][0] : null;
+}
+
+// Download audio from any yt-dlp-supported URL (audio only, not video)
+async function downloadAudio(url, signal) {
   const outputPath = path.join(tmpDir, `audio-${Date.now()}-${Math.random().toString(36).substring(7)}`);
   
   try {
-    // Use yt-dlp to download audio only and convert to m4a
-    // -x: extract audio only
-    // --audio-format m4a: convert to m4a format
-    // --no-write-playlist: don't write playlist files
-    // --no-write-info-json: don't write info JSON files
-    // --no-write-subs: don't write subtitles
-    // --no-write-auto-subs: don't write auto-generated subtitles
-    // -o: output file path
-    const command = `yt-dlp -x --audio-format m4a --no-write-playlist --no-write-info-json --no-write-subs --no-write-auto-subs -o "${outputPath}.%(ext)s" "${url}"`;
-    
-    console.log('Running yt-dlp command:', command);
-    
-    const { stdout, stderr } = await execAsync(command, {
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+    // Use yt-dlp to download audio only and convert to m4a (no playlist, info JSON or subtitle files)
+    const args = ytDlpAudioArgs(url, outputPath);
+    console.log('Running yt-dlp command:', formatCommand('yt-dlp', args));
+    
+    const { stdout, stderr } = await runCommand('yt-dlp', args, {
+      maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+      signal
     });
     
     if (stderr && !stderr.includes('WARNING')) {
@@ -424,20 +465,119 @@ async function downloadAudio(videoId) {
     
     return finalPath;
   } catch (error) {
+    // Remove partial downloads (.part files etc.) left behind by a failed or cancelled run
+    fs.readdirSync(tmpDir)
+      .filter(f => f.startsWith(path.basename(outputPath)))
+      .forEach(f => fs.removeSync(path.join(tmpDir, f)));
+    
+    if (signal?.aborted) {
+      throw error;
+    }
+    
     // Check if yt-dlp is installed
-    if (error.message.includes('yt-dlp: command not found') || error.code === 'ENOENT') {
-      const platform = getPlatform();
-      const installMsg = platform === 'windows'
-        ? 'yt-dlp is not installed. Please install it with: choco install yt-dlp ffmpeg (or download from https://github.com/yt-dlp/yt-dlp and add to PATH)'
-        : 'yt-dlp is not installed. Please install it with: brew install yt-dlp ffmpeg';
-      throw new Error(installMsg);
+    if (isMissingCommand(error, 'yt-dlp')) {
+      throw missingDependencyError('yt-dlp');
     }
     throw new Error(`Failed to download audio: ${error.message}`);
   }
 }
 
+// List the videos of a playlist or channel with yt-dlp --flat-playlist (one request, no per-video lookups).
+// A channel page lists its tabs (Videos, Shorts, Live) rather than videos, so its first tab is read instead.
+// Returns { title, url, extractor, entries } with at most `limit` entries (see parsePlaylistEntries).
+async function getPlaylist(url, limit, signal, followTab = true) {
+  const args = ytDlpPlaylistArgs(url, limit);
+  console.log('Reading playlist:', formatCommand('yt-dlp', args));
+  
+  let info;
+  try {
+    const { stdout } = await runCommand('yt-dlp', args, {
+      maxBuffer: 50 * 1024 * 1024,
+      timeout: 120000,
+      signal
+    });
+    info = JSON.parse(stdout);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (isMissingCommand(error, 'yt-dlp')) {
+      throw missingDependencyError('yt-dlp');
+    }
+    throw new Error(`yt-dlp could not read the playlist: ${error.stderr?.trim() || error.message}`);
+  }
+  
+  const entries = parsePlaylistEntries(info).slice(0, limit);
+  const tabUrl = normalizeSourceUrl((info.entries || []).find(isNestedPlaylist)?.url || '');
+  if (entries.length === 0 && followTab && tabUrl) {
+    console.log(`${url} lists playlists, reading the first one: ${tabUrl}`);
+    return getPlaylist(tabUrl, limit, signal, false);
+  }
+  
+  return {
+    title: info.title || null,
+    url: normalizeSourceUrl(info.webpage_url || '') || url,
+    extractor: info.extractor_key || info.extractor || null,
+    entries
+  };
+}
+
+// Default Whisper model (base, small, medium, large, ...) - requests can pick another with `whisperModel`
+const DEFAULT_WHISPER_MODEL = process.env.WHISPER_MODEL || 'base';
+
+// Transcription progress is reported at most once per this many milliseconds
+const TRANSCRIBE_PROGRESS_MS = 1000;
+
+// Follow whisper-cli's output and report progress through onProgress({ message, percent, elapsedSeconds, etaSeconds, latestText }).
+// Uses the "progress = N%" lines from --print-progress, or how far the latest segment is into the audio
+// when that is further along (duration in seconds, if known). Returns the stdout/stderr line handlers.
+function createWhisperProgressTracker(onProgress, duration) {
+  const startedAt = Date.now();
+  let percent = 0;
+  let latestText = '';
+  let lastReport = 0;
+
+  const report = () => {
+    if (Date.now() - lastReport < TRANSCRIBE_PROGRESS_MS) return;
+    lastReport = Date.now();
+
+    const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+    // Too early for a meaningful estimate below a few percent
+    const etaSeconds = percent >= 3 && percent < 100 ? Math.round(elapsedSeconds * (100 - percent) / percent) : null;
+    onProgress({
+      message: `Transcribing audio... ${percent}% (${formatDuration(elapsedSeconds)} elapsed${etaSeconds !== null ? `, about ${formatDuration(etaSeconds)} left` : ''})`,
+      percent,
+      elapsedSeconds,
+      etaSeconds,
+      latestText
+    });
+  };
+
+  return {
+    // Segment lines: "[00:01:02.000 --> 00:01:05.500]   text"
+    onStdoutLine(line) {
+      const match = line.match(/^\[[\d:.]+\s*-->\s*(\d+):(\d+):(\d+)[.,](\d+)\]\s*(.*)$/);
+      if (!match) return;
+      latestText = match[5].trim();
+      if (duration > 0) {
+        const end = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        percent = Math.max(percent, Math.min(99, Math.floor(end / duration * 100)));
+      }
+      report();
+    },
+    // "whisper_print_progress_callback: progress =  42%"
+    onStderrLine(line) {
+      const match = line.match(/progress\s*=\s*(\d+)%/);
+      if (!match) return;
+      percent = Math.max(percent, Math.min(100, parseInt(match[1], 10)));
+      report();
+    }
+  };
+}
+
 // Transcribe audio using whisper.cpp (C++ implementation - faster on Apple Silicon with Metal GPU acceleration)
-async function transcribeAudio(audioPath, language = 'en') {
+// onProgress (optional) receives live progress while whisper-cli runs; duration (seconds, optional) improves its estimate.
+// language 'auto' lets whisper-cli detect the spoken language.
+// Returns { text, segments, source, whisperModel, language } - language is the detected one with 'auto' (null if not reported)
+async function transcribeAudio(audioPath, language = 'en', signal, whisperModel = DEFAULT_WHISPER_MODEL, onProgress, duration) {
   let audioFileToTranscribe = audioPath; // Track converted file for cleanup
   
   try {
@@ -461,85 +601,50 @@ async function transcribeAudio(audioPath, language = 'en') {
     
     // Use whisper.cpp (C++ implementation) for faster transcription
     // On Apple Silicon, Metal GPU acceleration is automatically enabled
-    // Model path - check common locations
-    const whisperModel = process.env.WHISPER_MODEL || 'base'; // base, small, medium, large
-    const homeDir = getHomeDir();
-    const modelDir = process.env.WHISPER_MODEL_DIR || path.join(homeDir, '.cache', 'whisper');
-    let modelPath = path.join(modelDir, `ggml-${whisperModel}.bin`);
-    
-    // Check if model exists, if not, try alternative locations
-    if (!fs.existsSync(modelPath)) {
-      console.log(`Model not found at ${modelPath}, checking alternative locations...`);
-      // Build platform-specific alternative paths
-      const alternativePaths = [
-        // Project-local models folder (cross-platform)
-        path.join(__dirname, 'models', `ggml-${whisperModel}.bin`),
-        // User cache directory (cross-platform)
-        path.join(homeDir, '.cache', 'whisper', `ggml-${whisperModel}.bin`)
-      ];
-      
-      // Add macOS-specific paths
-      if (process.platform === 'darwin') {
-        alternativePaths.push(
-          `/opt/homebrew/share/whisper-cpp/models/ggml-${whisperModel}.bin`,
-          `/usr/local/share/whisper-cpp/models/ggml-${whisperModel}.bin`
-        );
-      }
-      
-      // Add Windows-specific paths
-      if (process.platform === 'win32') {
-        alternativePaths.push(
-          path.join('C:', 'Program Files', 'whisper-cpp', 'models', `ggml-${whisperModel}.bin`),
-          path.join('C:', 'Program Files (x86)', 'whisper-cpp', 'models', `ggml-${whisperModel}.bin`)
-        );
-      }
-      
-      let foundModel = false;
-      for (const altPath of alternativePaths) {
-        if (fs.existsSync(altPath)) {
-          modelPath = altPath;
-          foundModel = true;
-          console.log(`Found model at: ${modelPath}`);
-          break;
-        }
-      }
-      
-      if (!foundModel) {
-        throw new Error(`Whisper model not found. Please download ggml-${whisperModel}.bin from https://huggingface.co/ggerganov/whisper.cpp/tree/main and place it in ${modelDir} or set WHISPER_MODEL_DIR environment variable.`);
-      }
+    const modelPath = findWhisperModel(whisperModel);
+    if (!modelPath) {
+      throw new Error(`Whisper model not found. Please download ggml-${whisperModel}.bin from https://huggingface.co/ggerganov/whisper.cpp/tree/main and place it in ${getWhisperModelDirs()[0]} or set WHISPER_MODEL_DIR environment variable.`);
     }
+    console.log(`Using Whisper model: ${modelPath}`);
     
     // whisper-cli only supports: flac, mp3, ogg, wav
-    // Convert m4a to wav if needed using ffmpeg
+    // Convert anything else (m4a downloads, uploaded video files, ...) to wav using ffmpeg
     const outputDir = path.dirname(audioPath);
     const outputBase = path.basename(audioPath, path.extname(audioPath));
     const audioExt = path.extname(audioPath).toLowerCase();
     let audioFileToTranscribe = audioPath;
     
     // Convert to wav if not already in a supported format
-    if (audioExt === '.m4a' || audioExt === '.aac' || audioExt === '.webm') {
+    if (!['.flac', '.mp3', '.ogg', '.wav'].includes(audioExt)) {
       const wavPath = path.join(outputDir, `${outputBase}.wav`);
       console.log(`Converting ${audioExt} to WAV format for whisper-cli...`);
-      const convertCommand = `ffmpeg -i "${audioPath}" -ar 16000 -ac 1 -f wav "${wavPath}" -y`;
-      
       try {
-        await execAsync(convertCommand, {
+        const { stderr: ffmpegOutput } = await runCommand('ffmpeg', ffmpegToWavArgs(audioPath, wavPath), {
           maxBuffer: 10 * 1024 * 1024,
-          timeout: 300000 // 5 minutes for conversion
+          timeout: 300000, // 5 minutes for conversion
+          signal
         });
         audioFileToTranscribe = wavPath;
+        // ffmpeg reports the input length ("Duration: 00:12:34.56"), which uploads have no metadata for
+        const durationMatch = ffmpegOutput.match(/Duration:\s*(\d+):(\d+):(\d+)/);
+        if (!duration && durationMatch) {
+          duration = parseInt(durationMatch[1], 10) * 3600 + parseInt(durationMatch[2], 10) * 60 + parseInt(durationMatch[3], 10);
+        }
         console.log('Audio converted to WAV:', wavPath);
       } catch (convertError) {
+        if (signal?.aborted) throw convertError;
+        if (isMissingCommand(convertError, 'ffmpeg')) throw missingDependencyError('ffmpeg');
         throw new Error(`Failed to convert audio to WAV format: ${convertError.message}`);
       }
     }
     
-    // whisper-cli command format: whisper-cli -m model.bin audiofile -otxt -of outputfile -l language
+    // whisper-cli command format: whisper-cli -m model.bin -f audiofile -otxt -osrt -of outputfile -l language
+    // -osrt keeps the segment timings alongside the plain text output
     // Metal acceleration is automatically enabled on Apple Silicon (M3 Pro) for much faster transcription
     const outputFile = path.join(outputDir, outputBase);
-    const command = `whisper-cli -m "${modelPath}" "${audioFileToTranscribe}" -otxt -of "${outputFile}" -l ${whisperLang}`;
+    const args = whisperArgs(modelPath, audioFileToTranscribe, outputFile, whisperLang);
     
-    console.log(`Running whisper.cpp (C++ with Metal acceleration) command with language ${whisperLang}:`, command);
+    console.log(`Running whisper.cpp (C++ with Metal acceleration) command with language ${whisperLang}:`, formatCommand('whisper-cli', args));
     
     // Run Whisper command - it may output warnings to stderr but still succeed
     // We'll check for the output file rather than relying on exit code
@@ -547,14 +652,22 @@ async function transcribeAudio(audioPath, language = 'en') {
     let stderr = '';
     
     try {
-      const result = await execAsync(command, {
-        maxBuffer: 50 * 1024 * 1024, // 50MB buffer for long transcriptions
-        timeout: 600000 // 10 minutes timeout for transcription
+      // Streamed so progress and the latest transcribed text can be shown while it runs
+      const tracker = onProgress ? createWhisperProgressTracker(onProgress, duration) : {};
+      const result = await spawnCommand('whisper-cli', args, {
+        timeout: 600000, // 10 minutes timeout for transcription
+        signal,
+        onStdoutLine: tracker.onStdoutLine,
+        onStderrLine: tracker.onStderrLine
       });
       stdout = result.stdout || '';
       stderr = result.stderr || '';
     } catch (execError) {
-      // execAsync throws an error if exit code is non-zero
+      // Cancelled or not installed - don't wait for an output file that will never come
+      if (signal?.aborted) throw execError;
+      if (isMissingCommand(execError, 'whisper-cli')) throw missingDependencyError('whisper-cli');
+      
+      // spawnCommand throws an error if exit code is non-zero
       // But Whisper might output warnings to stderr and still succeed
       stdout = execError.stdout || '';
       stderr = execError.stderr || '';
@@ -618,12 +731,23 @@ async function transcribeAudio(audioPath, language = 'en') {
         transcriptPath = path.join(dir, possibleFiles[0]);
         console.log('Using found transcript file:', transcriptPath);
       } else {
-        throw new Error(`whisper-cli did not create transcript file after ${attempts} seconds. Check if whisper-cpp is installed: brew install whisper-cpp. Also ensure the model file (ggml-${whisperModel}.bin) is downloaded. Files in directory: ${files.join(', ')}`);
+        throw new Error(`whisper-cli did not create transcript file after ${attempts} seconds. Check that whisper-cli works (${installHint('whisper-cli')}). Also ensure the model file (ggml-${whisperModel}.bin) is downloaded. Files in directory: ${files.join(', ')}`);
       }
     }
     
-    // Read the transcript
-    const transcription = fs.readFileSync(transcriptPath, 'utf-8').trim();
+    // Read the SRT output for segment timings (written next to the .txt by -osrt)
+    const srtPath = path.join(outputDir, `${outputBase}.srt`);
+    const segments = fs.existsSync(srtPath)
+      ? parseSrtToSegments(fs.readFileSync(srtPath, 'utf-8')) || []
+      : [];
+    if (segments.length === 0) {
+      console.warn('whisper-cli SRT output missing or empty, transcript will have no timestamps');
+    }
+    
+    // Read the transcript (fall back to the segment text if we only found the SRT file)
+    const transcription = transcriptPath.endsWith('.srt')
+      ? segmentsToText(segments, ' ')
+      : fs.readFileSync(transcriptPath, 'utf-8').trim();
     
     // Clean up temporary files
     fs.removeSync(audioPath);
@@ -635,7 +759,7 @@ async function transcribeAudio(audioPath, language = 'en') {
       fs.removeSync(transcriptPath);
     }
     
-    // Also clean up any other Whisper output files (srt, vtt, json, etc.)
+    // Also clean up any other Whisper output files (srt, vtt, json, etc.) - timings are kept in segments
     const basePath = audioPath.replace(/\.[^/.]+$/, '');
     const possibleExtensions = ['.srt', '.vtt', '.json'];
     possibleExtensions.forEach(ext => {
@@ -649,7 +773,15 @@ async function transcribeAudio(audioPath, language = 'en') {
       throw new Error('Transcription returned empty result. The audio file might be corrupted or too short.');
     }
     
-    return transcription;
+    // whisper-cli logs "auto-detected language: en (p = 0.97)" when run with -l auto
+    const detectedLanguage = whisperLang === 'auto'
+      ? normalizeLanguageCode(stderr.match(/auto-detected language:\s*([a-z]+)/)?.[1])
+      : whisperLang;
+    if (whisperLang === 'auto') {
+      console.log(`Whisper detected language: ${detectedLanguage || 'unknown'}`);
+    }
+    
+    return { text: transcription, segments, source: 'whisper', whisperModel, language: detectedLanguage };
   } catch (error) {
     // Clean up temporary audio file even on error
     if (audioPath && fs.existsSync(audioPath)) {
@@ -661,40 +793,42 @@ async function transcribeAudio(audioPath, language = 'en') {
       fs.removeSync(audioFileToTranscribe);
     }
     
-    // Check if whisper-cli is installed
-    if (error.message.includes('whisper-cli: command not found') || error.code === 'ENOENT') {
-      throw new Error('whisper-cli is not installed. Please install it with: brew install whisper-cpp');
+    if (signal?.aborted) {
+      throw error;
     }
     
-    // Check if ffmpeg is installed (needed for audio conversion)
-    if (error.message.includes('ffmpeg: command not found') || error.message.includes('Failed to convert audio')) {
-      throw new Error('ffmpeg is not installed. Please install it with: brew install ffmpeg');
+    // whisper-cli or ffmpeg (needed for audio conversion) is not installed
+    if (error.missingDependency) {
+      throw error;
     }
     
     throw new Error(`Failed to transcribe audio: ${error.message}`);
   }
 }
 
-// Summarize text using Ollama
-async function summarizeText(text, language = 'en') {
-  const languageNames = {
-    'en': 'English',
-    'he': 'Hebrew',
-    'es': 'Spanish',
-    'fr': 'French',
-    'de': 'German',
-    'it': 'Italian',
-    'pt': 'Portuguese',
-    'ru': 'Russian',
-    'ja': 'Japanese',
-    'ko': 'Korean',
-    'zh': 'Chinese',
-    'ar': 'Arabic'
-  };
-  
-  const langName = languageNames[language] || 'English';
-  
-  // Clean the transcript - remove metadata lines and keep only actual speech
+const languageNames = {
+  'en': 'English',
+  'he': 'Hebrew',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ru': 'Russian',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'zh': 'Chinese',
+  'ar': 'Arabic'
+};
+
+// Long transcripts are summarized in chunks (map) and the partial summaries are merged (reduce).
+// Defaults match the old single-prompt truncation limits (Hebrew text needs more characters per idea)
+const SUMMARY_CHUNK_SIZE = parseInt(process.env.SUMMARY_CHUNK_SIZE, 10) || 8000;
+const SUMMARY_CHUNK_SIZE_HE = parseInt(process.env.SUMMARY_CHUNK_SIZE_HE, 10) || 12000;
+const SUMMARY_CHUNK_OVERLAP = parseInt(process.env.SUMMARY_CHUNK_OVERLAP, 10) || 400;
+
+// Clean the transcript - remove metadata lines and keep only actual speech
+function cleanTranscript(text) {
   const cleanedText = text.split('\n')
     .filter(line => {
       // Remove lines that are just metadata or timestamps
@@ -709,308 +843,2000 @@ async function summarizeText(text, language = 'en') {
     .trim();
   
   // If cleaned text is too short or empty, use original
-  const textToSummarize = cleanedText.length > 50 ? cleanedText : text;
+  return cleanedText.length > 50 ? cleanedText : text;
+}
+
+// Split text into overlapping chunks, preferring to break on line, sentence or word boundaries
+function splitIntoChunks(text, chunkSize, overlap = 0) {
+  const chunks = [];
+  let start = 0;
+  
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    
+    if (end < text.length) {
+      // Only look for a boundary in the second half of the window so chunks don't get tiny
+      const minEnd = start + Math.floor(chunkSize / 2);
+      const window = text.slice(minEnd, end);
+      const boundaries = [window.lastIndexOf('\n'), window.lastIndexOf('. '), window.lastIndexOf(' ')];
+      const boundary = boundaries.find(index => index > 0);
+      if (boundary !== undefined) {
+        end = minEnd + boundary + 1;
+      }
+    }
+    
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+    
+    // Step back by the overlap so context isn't lost at chunk edges, then realign to a word start
+    let nextStart = Math.max(end - overlap, start + 1);
+    const wordStart = text.indexOf(' ', nextStart);
+    if (overlap > 0 && wordStart !== -1 && wordStart < end) {
+      nextStart = wordStart + 1;
+    }
+    start = nextStart;
+  }
+  
+  return chunks.filter(chunk => chunk.length > 0);
+}
+
+// Tells the model which language the transcript is in when it differs from the summary language
+// ('' when they match, so those prompts - and their cache keys - are unchanged). sourceLanguage null = unknown.
+function transcriptLanguageNote(sourceLanguage, language) {
+  if (sourceLanguage === language) return '';
+  const sourceName = sourceLanguage && (languageNames[sourceLanguage] || sourceLanguage);
+  if (language === 'he') {
+    return sourceName ? `התמלול הבא הוא ב-${sourceName}.` : 'התמלול הבא עשוי להיות בשפה אחרת.';
+  }
+  const langName = languageNames[language] || 'English';
+  return sourceName
+    ? `The transcript is in ${sourceName}; write the summary in ${langName}, translating as needed.\n`
+    : `The transcript may be in another language; write the summary in ${langName}, translating as needed.\n`;
+}
+
+// Single-pass prompt (used when the whole transcript fits in one chunk).
+// sourceLanguage: the transcript's language when it differs from the summary language (null = unknown)
+function buildSummaryPrompt(text, language, sourceLanguage = language) {
+  const langName = languageNames[language] || 'English';
+  const languageNote = transcriptLanguageNote(sourceLanguage, language);
   
   // Improved prompt - works better with qwen2.5 for Hebrew
-  let prompt;
   if (language === 'he') {
     // Hebrew-specific prompt - very explicit about Hebrew only
-    prompt = `אתה עוזר AI. התמלול הבא הוא בעברית. אתה חייב לסכם אותו בעברית בלבד.
+    return `אתה עוזר AI. ${languageNote || 'התמלול הבא הוא בעברית.'} אתה חייב לסכם אותו בעברית בלבד.
 
 חשוב מאוד: כתוב את הסיכום בעברית בלבד. אל תכתוב באנגלית, יפנית, סינית, ספרדית, גרמנית או שפה אחרת. רק עברית.
 
 הסיכום צריך להיות מפורט ומקיף, לכסות את כל הנושאים העיקריים שנדונו בראיון.
 
 התמלול:
-${textToSummarize.substring(0, 12000)}${textToSummarize.length > 12000 ? '...' : ''}
+${text}
 
 סיכום בעברית בלבד:`;
-  } else {
-    // English and other languages
-    prompt = `Please provide a comprehensive summary of the following transcript in ${langName}. 
-The summary should be well-structured, cover all main points, and be written entirely in ${langName}.
+  }
+  
+  // English and other languages
+  return `Please provide a comprehensive summary of the following transcript in ${langName}. 
+${languageNote}The summary should be well-structured, cover all main points, and be written entirely in ${langName}.
 Do not include timestamps, metadata, or technical details. Focus on the actual content and meaning.
 
 Transcript:
-${textToSummarize.substring(0, 8000)}${textToSummarize.length > 8000 ? '...' : ''}
+${text}
 
 Summary in ${langName}:`;
+}
+
+// Map step prompt - summarize one part of a long transcript
+function buildChunkPrompt(chunk, index, total, language, sourceLanguage = language) {
+  const langName = languageNames[language] || 'English';
+  const languageNote = transcriptLanguageNote(sourceLanguage, language);
+  
+  if (language === 'he') {
+    const transcriptDescription = languageNote ? `של תמלול ארוך. ${languageNote}` : 'של תמלול ארוך בעברית.';
+    return `אתה עוזר AI. לפניך חלק ${index} מתוך ${total} ${transcriptDescription} סכם את החלק הזה בעברית בלבד.
+
+חשוב מאוד: כתוב את הסיכום בעברית בלבד. רק עברית.
+
+שמור על כל הנושאים, השמות, המספרים והמסקנות החשובים שמופיעים בחלק הזה.
+
+התמלול (חלק ${index} מתוך ${total}):
+${chunk}
+
+סיכום החלק בעברית בלבד:`;
+  }
+  
+  return `The following is part ${index} of ${total} of a long transcript. Summarize this part in ${langName}.
+${languageNote}Keep every important topic, name, number and conclusion mentioned in this part, in the order they appear.
+Do not include timestamps, metadata, or technical details. Write entirely in ${langName}.
+
+Transcript (part ${index} of ${total}):
+${chunk}
+
+Summary of part ${index} in ${langName}:`;
+}
+
+// Reduce step prompt - merge partial summaries of consecutive parts into one summary
+function buildMergePrompt(partialSummaries, language) {
+  const langName = languageNames[language] || 'English';
+  
+  if (language === 'he') {
+    const parts = partialSummaries.map((summary, i) => `חלק ${i + 1}:\n${summary}`).join('\n\n');
+    return `אתה עוזר AI. לפניך סיכומים של חלקים עוקבים מתוך תמלול ארוך בעברית. אחד אותם לסיכום אחד בעברית בלבד.
+
+חשוב מאוד: כתוב את הסיכום בעברית בלבד. אל תכתוב באנגלית, יפנית, סינית, ספרדית, גרמנית או שפה אחרת. רק עברית.
+
+הסיכום צריך להיות מפורט ומקיף, לכסות את כל הנושאים העיקריים לפי סדר הופעתם, ללא חזרות.
+
+הסיכומים החלקיים:
+${parts}
+
+סיכום בעברית בלבד:`;
   }
+  
+  const parts = partialSummaries.map((summary, i) => `Part ${i + 1}:\n${summary}`).join('\n\n');
+  return `The following are summaries of consecutive parts of one long transcript.
+Merge them into a single comprehensive summary in ${langName}.
+The summary should be well-structured, cover all main points in the order they appear, avoid repetition, and be written entirely in ${langName}.
+Do not mention that the input was split into parts.
 
-  try {
-    const response = await axios.post(`${OLLAMA_BASE_URL}/api/generate`, {
-      model: OLLAMA_MODEL,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.3, // Lower temperature for more focused, consistent summaries (especially for Hebrew)
-        num_predict: 5000, // Increased for longer, more detailed summaries
-        top_p: 0.9, // Better quality with qwen2.5
-        repeat_penalty: 1.1 // Reduce repetition
-      }
-    }, {
-      timeout: 180000 // 3 minutes timeout for longer transcripts
-    });
-    
-    let summaryText = response.data.response || '';
-    
-    // Clean up the summary - remove any metadata or unwanted prefixes
-    summaryText = summaryText.trim();
-    
-    // Remove common prefixes that models sometimes add
-    const prefixesToRemove = [
-      'Summary:',
-      'Summary in',
-      'Here is the summary:',
-      'Here\'s the summary:',
-      'The summary is:',
-      'תקציר:',
-      'סיכום:',
-      'סיכום בעברית:',
-      'סיכום בעברית בלבד:'
-    ];
-    
-    for (const prefix of prefixesToRemove) {
-      if (summaryText.startsWith(prefix)) {
-        summaryText = summaryText.substring(prefix.length).trim();
-      }
+Partial summaries:
+${parts}
+
+Summary in ${langName}:`;
+}
+
+// Series digest prompt - one overview of a playlist built from its videos' summaries.
+// `partial` is set for the rounds that condense a long series group by group before the final digest.
+function buildDigestPrompt(videoSummaries, seriesTitle, language, partial = false) {
+  const langName = languageNames[language] || 'English';
+  const videos = videoSummaries.join('\n\n');
+  
+  if (language === 'he') {
+    const task = partial
+      ? 'אחד אותם לסיכום אחד של הסרטונים האלה, לפי הסדר.'
+      : 'כתוב סקירה של הסדרה כולה: הנושאים המרכזיים, איך הם מתפתחים מסרטון לסרטון, והמסקנות העיקריות. הזכר את שמות הסרטונים כשזה עוזר.';
+    return `אתה עוזר AI. לפניך סיכומים של סרטונים מתוך הסדרה "${seriesTitle || 'ללא שם'}". ${task}
+
+חשוב מאוד: כתוב בעברית בלבד. אל תכתוב באנגלית, יפנית, סינית, ספרדית, גרמנית או שפה אחרת. רק עברית.
+
+סיכומי הסרטונים:
+${videos}
+
+סקירה בעברית בלבד:`;
+  }
+  
+  const task = partial
+    ? 'Merge them into one summary of these videos, keeping their order and every important point.'
+    : `Write a digest of the whole series: its main themes, how they develop from video to video, and the key takeaways.
+Refer to videos by their titles where it helps. Avoid repeating each summary - connect them.`;
+  return `The following are summaries of videos from the series "${seriesTitle || 'Untitled'}", in order.
+${task}
+Write entirely in ${langName}.
+
+Video summaries:
+${videos}
+
+${partial ? 'Summary' : 'Series digest'} in ${langName}:`;
+}
+
+// Clean up a raw model response - strip prefixes and, for Hebrew, foreign-script lines
+function cleanSummary(rawSummary, language) {
+  let summaryText = rawSummary.trim();
+  
+  // Remove common prefixes that models sometimes add
+  const prefixesToRemove = [
+    'Summary:',
+    'Summary in',
+    'Here is the summary:',
+    'Here\'s the summary:',
+    'The summary is:',
+    'תקציר:',
+    'סיכום:',
+    'סיכום בעברית:',
+    'סיכום בעברית בלבד:'
+  ];
+  
+  for (const prefix of prefixesToRemove) {
+    if (summaryText.startsWith(prefix)) {
+      summaryText = summaryText.substring(prefix.length).trim();
     }
-    
-    // For Hebrew, filter out non-Hebrew content (Chinese, Japanese, etc.)
-    if (language === 'he') {
-      // Split by lines and filter out lines with too many non-Hebrew characters
-      const lines = summaryText.split('\n');
-      const cleanedLines = lines.filter(line => {
-        const trimmed = line.trim();
-        if (trimmed.length === 0) return false;
-        
-        // Count Hebrew characters
-        const hebrewChars = (trimmed.match(/[\u0590-\u05FF]/g) || []).length;
-        // Count non-Hebrew, non-English, non-punctuation characters (likely Chinese/Japanese)
-        const foreignChars = (trimmed.match(/[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]/g) || []).length;
-        
-        // Keep line if it has Hebrew characters and not too many foreign characters
-        return hebrewChars > 0 && foreignChars < trimmed.length * 0.3;
-      });
+  }
+  
+  // For Hebrew, filter out non-Hebrew content (Chinese, Japanese, etc.)
+  if (language === 'he') {
+    // Split by lines and filter out lines with too many non-Hebrew characters
+    const lines = summaryText.split('\n');
+    const cleanedLines = lines.filter(line => {
+      const trimmed = line.trim();
+      if (trimmed.length === 0) return false;
       
-      summaryText = cleanedLines.join('\n').trim();
+      // Count Hebrew characters
+      const hebrewChars = (trimmed.match(/[\u0590-\u05FF]/g) || []).length;
+      // Count non-Hebrew, non-English, non-punctuation characters (likely Chinese/Japanese)
+      const foreignChars = (trimmed.match(/[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]/g) || []).length;
       
-      // If we filtered out too much, use original but log warning
-      if (summaryText.length < response.data.response.length * 0.5) {
-        console.warn('Warning: Filtered summary is much shorter, may contain mixed languages');
-      }
-    }
+      // Keep line if it has Hebrew characters and not too many foreign characters
+      return hebrewChars > 0 && foreignChars < trimmed.length * 0.3;
+    });
     
-    // If summary is too short or looks like it might be metadata, try to extract better content
-    if (summaryText.length < 50) {
-      console.warn('Summary seems too short, using original response');
-      summaryText = response.data.response || '';
-    }
+    summaryText = cleanedLines.join('\n').trim();
     
-    return summaryText;
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error(`Failed to connect to Ollama at ${OLLAMA_BASE_URL}. Make sure Ollama is running.`);
+    // If we filtered out too much, use original but log warning
+    if (summaryText.length < rawSummary.length * 0.5) {
+      console.warn('Warning: Filtered summary is much shorter, may contain mixed languages');
     }
-    if (error.response?.status === 404) {
-      throw new Error(`Ollama model "${OLLAMA_MODEL}" not found. Available models: qwen2.5:latest, llama3:latest, llama3.2:latest. Install with: ollama pull ${OLLAMA_MODEL}`);
+  }
+  
+  // If summary is too short or looks like it might be metadata, try to extract better content
+  if (summaryText.length < 50) {
+    console.warn('Summary seems too short, using original response');
+    summaryText = rawSummary;
+  }
+  
+  return summaryText;
+}
+
+// Group partial summaries so each merge prompt stays within the chunk size.
+// Every group holds at least two items so each reduce round shrinks the list.
+function groupForMerge(summaries, chunkSize) {
+  const groups = [];
+  let current = [];
+  let currentLength = 0;
+  
+  for (const summary of summaries) {
+    if (current.length >= 2 && currentLength + summary.length > chunkSize) {
+      groups.push(current);
+      current = [];
+      currentLength = 0;
     }
-    throw new Error(`Failed to generate summary: ${error.message}`);
+    current.push(summary);
+    currentLength += summary.length;
   }
+  
+  if (current.length === 1 && groups.length > 0) {
+    groups[groups.length - 1].push(current[0]);
+  } else if (current.length > 0) {
+    groups.push(current);
+  }
+  
+  return groups;
 }
 
-// Main endpoint with Server-Sent Events for progress updates
-app.post('/api/summarize', async (req, res) => {
-  // Set up SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+// Summarize text using the configured LLM provider.
+// Transcripts longer than one chunk go through map-reduce: each chunk is summarized
+// separately, then the partial summaries are merged (repeatedly, if needed) into one.
+// onProgress receives { message, phase, chunk, totalChunks } for each model call, and
+// { delta } with the text of the final summary as it streams in (before cleanSummary runs on it).
+// signal (optional AbortSignal) aborts the in-flight LLM request.
+// model (optional) overrides the provider's configured model.
+// template (optional, from the template store) replaces the single-pass prompt; for long transcripts the
+// partial summaries are merged until they fit in one chunk and the template gets them as {{transcript}}.
+// title fills in the template's {{title}}.
+// sourceLanguage is the transcript's language when it differs from the summary language (null = unknown).
+async function summarizeText(text, language = 'en', onProgress = () => {}, signal, model, { template = null, title = null, sourceLanguage = language } = {}) {
+  const textToSummarize = cleanTranscript(text);
+  const chunkSize = language === 'he' ? SUMMARY_CHUNK_SIZE_HE : SUMMARY_CHUNK_SIZE;
+  const onToken = (delta) => onProgress({ delta });
+  const buildFinalPrompt = (content) => (template
+    ? renderTemplate(template.prompt, { transcript: content, language: languageNames[language] || 'English', title: title || 'Untitled' })
+    : buildSummaryPrompt(content, language, sourceLanguage));
   
-  const sendProgress = (stage, status, data = {}) => {
-    const message = JSON.stringify({ stage, status, ...data });
-    res.write(`data: ${message}\n\n`);
-  };
+  if (textToSummarize.length <= chunkSize) {
+    const rawSummary = await llm.generate(buildFinalPrompt(textToSummarize), { model, signal, onToken });
+    return cleanSummary(rawSummary, language);
+  }
   
-  try {
-    const { youtubeUrl, language = 'en', forceAudioDownload = false } = req.body;
-    
-    if (!youtubeUrl) {
-      sendProgress('error', 'error', { error: 'YouTube URL is required' });
-      return res.end();
-    }
-    
-    const videoId = extractVideoId(youtubeUrl);
-    if (!videoId) {
-      sendProgress('error', 'error', { error: 'Invalid YouTube URL' });
-      return res.end();
+  // Map: summarize each chunk
+  const chunks = splitIntoChunks(textToSummarize, chunkSize, SUMMARY_CHUNK_OVERLAP);
+  console.log(`Transcript is ${textToSummarize.length} characters, summarizing in ${chunks.length} chunks`);
+  
+  let partialSummaries = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress({
+      message: `Summarizing part ${i + 1}/${chunks.length}...`,
+      phase: 'map',
+      chunk: i + 1,
+      totalChunks: chunks.length
+    });
+    const rawSummary = await llm.generate(buildChunkPrompt(chunks[i], i + 1, chunks.length, language, sourceLanguage), {
+      model,
+      numPredict: 1500, // Partial summaries only need to carry the key points forward
+      signal
+    });
+    partialSummaries.push(cleanSummary(rawSummary, language));
+  }
+  
+  // Reduce: merge partial summaries until a single summary remains
+  // (with a template: until they fit in one prompt, then apply the template to them)
+  let round = 1;
+  while (true) {
+    if (template && (partialSummaries.length === 1 || partialSummaries.join('\n\n').length <= chunkSize)) {
+      onProgress({
+        message: `Writing the "${template.name}" summary from ${partialSummaries.length} partial summaries...`,
+        phase: 'reduce',
+        chunk: 1,
+        totalChunks: 1
+      });
+      const rawSummary = await llm.generate(buildFinalPrompt(partialSummaries.join('\n\n')), { model, signal, onToken });
+      return cleanSummary(rawSummary, language);
     }
     
-    console.log(`Processing video: ${videoId} in language: ${language}, forceAudioDownload: ${forceAudioDownload}`);
+    const groups = groupForMerge(partialSummaries, chunkSize);
+    const merged = [];
     
-    let audioPath = null;
-    let transcript = null;
-    let summary = null;
-    let transcriptFilePath = null;
-    let summaryFilePath = null;
-    let usedYouTubeTranscript = false;
+    for (let i = 0; i < groups.length; i++) {
+      onProgress({
+        message: groups.length === 1
+          ? `Merging ${groups[i].length} partial summaries...`
+          : `Merging partial summaries (round ${round}, group ${i + 1}/${groups.length})...`,
+        phase: 'reduce',
+        chunk: i + 1,
+        totalChunks: groups.length
+      });
+      // Only the last merge produces the final summary, so only that one is streamed
+      const rawSummary = await llm.generate(buildMergePrompt(groups[i], language), {
+        model,
+        signal,
+        onToken: groups.length === 1 && !template ? onToken : undefined
+      });
+      merged.push(cleanSummary(rawSummary, language));
+    }
     
-    try {
-      // Step 0: Check if YouTube transcript is available (unless forced to download audio)
-      if (!forceAudioDownload) {
-        console.log('Step 0: Checking for YouTube transcript...');
-        sendProgress('download', 'processing', { message: 'Checking for YouTube transcript...' });
-        transcript = await getYouTubeTranscript(youtubeUrl, language);
-        
-        if (transcript && transcript.trim().length > 0) {
-          // YouTube transcript is available - skip download and transcription
-          usedYouTubeTranscript = true;
-          console.log('YouTube transcript found! Skipping download and transcription.');
-          sendProgress('download', 'skipped', { 
-            message: 'Skipped - Using YouTube transcript'
-          });
-          sendProgress('transcribe', 'skipped', { 
-            message: 'Skipped - Using YouTube transcript'
-          });
-        
-          // Save transcript to file
-          const transcriptTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const transcriptFilename = `${transcriptTimestamp}-transcript.txt`;
-          transcriptFilePath = path.join(dataDir, transcriptFilename);
-          fs.writeFileSync(transcriptFilePath, transcript, 'utf-8');
-          console.log('YouTube transcript saved to:', transcriptFilename);
-          sendProgress('transcribe', 'completed', { 
-            message: 'YouTube transcript retrieved',
-            transcriptFilePath: transcriptFilename,
-            usedYouTubeTranscript: true
-          });
-        } else {
-          // No YouTube transcript available - proceed with download and transcription
-          console.log('No YouTube transcript available. Proceeding with audio download and transcription.');
-          sendProgress('download', 'processing', { message: 'No YouTube transcript found. Downloading audio...' });
-        }
-      } else {
-        // Force audio download - skip transcript check
-        console.log('Force audio download enabled. Skipping YouTube transcript check.');
-        sendProgress('download', 'processing', { message: 'Downloading audio (forced)...' });
-      }
-      
-      // If we don't have a transcript yet, proceed with download and transcription
-      if (!transcript || transcript.trim().length === 0) {
-        // Step 1: Download audio
-        console.log('Step 1: Downloading audio...');
-        audioPath = await downloadAudio(videoId);
-        console.log('Audio downloaded to:', audioPath);
-        sendProgress('download', 'completed', { 
-          message: 'Audio downloaded',
-          audioPath: path.basename(audioPath)
-        });
-        
-        // Step 2: Transcribe audio
-        console.log('Step 2: Transcribing audio...');
-        sendProgress('transcribe', 'processing', { message: 'Transcribing audio...' });
-        transcript = await transcribeAudio(audioPath, language);
-        
-        if (!transcript || transcript.trim().length === 0) {
-          sendProgress('error', 'error', { error: 'Failed to get transcript' });
-          return res.end();
-        }
-        
-        // Save transcript to file
-        const transcriptTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const transcriptFilename = `${transcriptTimestamp}-transcript.txt`;
+    if (merged.length === 1 && !template) {
+      return merged[0];
+    }
+    partialSummaries = merged;
+    round++;
+  }
+}
+
+// Build a series digest from the summaries of a playlist's videos ([{ title, summary }], in order).
+// Series whose summaries don't fit in one prompt are condensed group by group first (like the reduce step above).
+// onProgress receives { message } before each model call and { delta } while the final digest streams in.
+async function summarizeSeries(videos, seriesTitle, language = 'en', onProgress = () => {}, signal, model) {
+  const chunkSize = language === 'he' ? SUMMARY_CHUNK_SIZE_HE : SUMMARY_CHUNK_SIZE;
+  let sections = videos.map((video, i) => `${i + 1}. ${video.title || `Video ${i + 1}`}\n${video.summary}`);
+  
+  let round = 1;
+  while (sections.join('\n\n').length > chunkSize && sections.length > 1) {
+    const groups = groupForMerge(sections, chunkSize);
+    const condensed = [];
+    for (let i = 0; i < groups.length; i++) {
+      onProgress({ message: `Condensing summaries for the digest (round ${round}, group ${i + 1}/${groups.length})...` });
+      const rawSummary = await llm.generate(buildDigestPrompt(groups[i], seriesTitle, language, true), {
+        model,
+        numPredict: 1500,
+        signal
+      });
+      condensed.push(cleanSummary(rawSummary, language));
+    }
+    sections = condensed;
+    round++;
+  }
+  
+  onProgress({ message: 'Writing the series digest...' });
+  const rawDigest = await llm.generate(buildDigestPrompt(sections, seriesTitle, language), {
+    model,
+    signal,
+    onToken: (delta) => onProgress({ delta })
+  });
+  return cleanSummary(rawDigest, language);
+}
+
+// Length of the sections used when a video has no creator-defined chapters
+const DERIVED_CHAPTER_SECONDS = parseInt(process.env.DERIVED_CHAPTER_SECONDS, 10) || 600;
+
+// Split timed segments into fixed-length sections (snapped to segment starts).
+// Returns null when the segments carry no timing.
+function deriveChapters(segments) {
+  const timed = segments.filter(segment => Number.isFinite(segment.start));
+  if (timed.length === 0) return null;
+  
+  const chapters = [];
+  for (const segment of timed) {
+    const current = chapters[chapters.length - 1];
+    if (!current || segment.start >= current.start + DERIVED_CHAPTER_SECONDS) {
+      chapters.push({ title: null, start: segment.start, end: segment.end ?? segment.start });
+    } else {
+      current.end = Math.max(current.end, segment.end ?? segment.start);
+    }
+  }
+  return chapters;
+}
+
+// Collect the transcript text spoken during each chapter
+function getChapterTexts(segments, chapters) {
+  return chapters.map((chapter, i) => {
+    const nextStart = chapters[i + 1]?.start ?? Infinity;
+    return segmentsToText(
+      segments.filter(segment => Number.isFinite(segment.start) && segment.start >= chapter.start && segment.start < nextStart),
+      ' '
+    );
+  });
+}
+
+// Chapter prompt - a short summary of one chapter, plus a title for derived chapters
+function buildChapterPrompt(chapterText, title, language, sourceLanguage = language) {
+  const langName = languageNames[language] || 'English';
+  const languageNote = transcriptLanguageNote(sourceLanguage, language);
+  
+  if (language === 'he') {
+    const instructions = title
+      ? `לפניך הפרק "${title}" מתוך תמלול של סרטון. כתוב סיכום קצר (2-4 משפטים) של הפרק בעברית בלבד.`
+      : `לפניך קטע מתוך תמלול של סרטון. תן לקטע כותרת קצרה וכתוב סיכום קצר (2-4 משפטים) שלו בעברית בלבד.
+
+ענה בדיוק בפורמט הזה:
+כותרת: <כותרת>
+סיכום: <סיכום>`;
+    return `אתה עוזר AI. ${languageNote ? `${languageNote} ` : ''}${instructions}
+
+חשוב מאוד: כתוב בעברית בלבד.
+
+התמלול:
+${chapterText}
+${title ? '\nסיכום הפרק בעברית בלבד:' : ''}`;
+  }
+  
+  const instructions = title
+    ? `The following is the "${title}" chapter of a video transcript. Write a short summary (2-4 sentences) of this chapter in ${langName}.`
+    : `The following is a section of a video transcript. Give the section a short descriptive title and write a short summary (2-4 sentences) of it in ${langName}.
+
+Answer in exactly this format:
+Title: <title>
+Summary: <summary>`;
+  return `${instructions}
+${languageNote}Do not include timestamps, metadata, or technical details. Write entirely in ${langName}.
+
+Transcript:
+${chapterText}
+${title ? `\nSummary in ${langName}:` : ''}`;
+}
+
+// TL;DR prompt - overall takeaway from the chapter summaries
+function buildTldrPrompt(chapterSummaries, language) {
+  const langName = languageNames[language] || 'English';
+  const outline = chapterSummaries.map(chapter => `${chapter.title}:\n${chapter.summary}`).join('\n\n');
+  
+  if (language === 'he') {
+    return `אתה עוזר AI. לפניך סיכומי הפרקים של סרטון. כתוב תקציר (TL;DR) של הסרטון כולו ב-2-3 משפטים, בעברית בלבד.
+
+חשוב מאוד: כתוב בעברית בלבד.
+
+סיכומי הפרקים:
+${outline}
+
+תקציר בעברית בלבד:`;
+  }
+  
+  return `The following are summaries of the chapters of a video. Write a TL;DR of the whole video in 2-3 sentences in ${langName}.
+Write entirely in ${langName}.
+
+Chapter summaries:
+${outline}
+
+TL;DR in ${langName}:`;
+}
+
+// Parse "Title: ...\nSummary: ..." answers to derived-chapter prompts
+function parseTitledSummary(response) {
+  const titleMatch = response.match(/^\s*(?:Title|כותרת)\s*:\s*(.+)$/m);
+  const summaryMatch = response.match(/^\s*(?:Summary|סיכום)\s*:\s*([\s\S]+)$/m);
+  return {
+    title: titleMatch ? titleMatch[1].trim() : null,
+    summary: (summaryMatch ? summaryMatch[1] : response.replace(titleMatch?.[0] || '', '')).trim()
+  };
+}
+
+// Render a chapter summary as plain text (for the saved summary file and the library)
+function formatChapterSummary({ tldr, chapters }) {
+  const sections = chapters.map(chapter => `[${formatDuration(chapter.start)}] ${chapter.title}\n${chapter.summary}`);
+  return `TL;DR\n${tldr}\n\n${sections.join('\n\n')}`;
+}
+
+// Summarize a transcript chapter by chapter, then write an overall TL;DR.
+// chapters: [{ title, start, end }] - title null for derived sections (the model names them).
+// Returns { tldr, chapters: [{ title, start, end, summary }] }.
+async function summarizeByChapter(segments, chapters, language = 'en', onProgress = () => {}, signal, model, { sourceLanguage = language } = {}) {
+  const chunkSize = language === 'he' ? SUMMARY_CHUNK_SIZE_HE : SUMMARY_CHUNK_SIZE;
+  const chapterTexts = getChapterTexts(segments, chapters);
+  const chapterSummaries = [];
+  
+  for (let i = 0; i < chapters.length; i++) {
+    const chapter = chapters[i];
+    const chapterText = chapterTexts[i];
+    const label = chapter.title || formatDuration(chapter.start);
+    onProgress({
+      message: `Summarizing chapter ${i + 1}/${chapters.length}: ${label}...`,
+      phase: 'chapters',
+      chunk: i + 1,
+      totalChunks: chapters.length
+    });
+    
+    if (!chapterText) {
+      // e.g. a music intro with no speech
+      chapterSummaries.push({ ...chapter, title: label, summary: '' });
+      continue;
+    }
+    
+    // Chapters longer than one chunk get the full map-reduce treatment first (already in the summary language)
+    const condensed = chapterText.length > chunkSize;
+    const textToSummarize = condensed
+      ? await summarizeText(chapterText, language, () => {}, signal, model, { sourceLanguage })
+      : cleanTranscript(chapterText);
+    
+    const rawSummary = await llm.generate(buildChapterPrompt(textToSummarize, chapter.title, language, condensed ? language : sourceLanguage), {
+      model,
+      numPredict: 600,
+      signal
+    });
+    const { title, summary } = chapter.title
+      ? { title: chapter.title, summary: rawSummary }
+      : parseTitledSummary(rawSummary);
+    
+    chapterSummaries.push({
+      ...chapter,
+      title: title || label,
+      summary: cleanSummary(summary, language)
+    });
+  }
+  
+  onProgress({ message: 'Writing TL;DR...', phase: 'tldr' });
+  const rawTldr = await llm.generate(
+    buildTldrPrompt(chapterSummaries.filter(chapter => chapter.summary), language),
+    { model, numPredict: 400, signal }
+  );
+  
+  return { tldr: cleanSummary(rawTldr, language), chapters: chapterSummaries };
+}
+
+// Save a transcript to data/ as plain text plus its timed segments (JSON) next to it
+function saveTranscript(transcript) {
+  const transcriptTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const transcriptFilename = `${transcriptTimestamp}-transcript.txt`;
+  const segmentsFilename = `${transcriptTimestamp}-segments.json`;
+  
+  fs.writeFileSync(path.join(dataDir, transcriptFilename), transcript.text, 'utf-8');
+  fs.writeJsonSync(path.join(dataDir, segmentsFilename), {
+    source: transcript.source,
+    segments: transcript.segments
+  }, { spaces: 2 });
+  
+  return { transcriptFilename, segmentsFilename };
+}
+
+// Booleans arrive as true/false in JSON bodies and as "true"/"false" in multipart form fields
+function parseBoolean(value) {
+  return value === true || value === 'true';
+}
+
+// Validate the summary options shared by URL, upload and batch requests.
+// Returns { error } or { sourceLanguage, summaryLanguage, language, refresh, summaryMode, summaryModel, whisperModel, template }.
+// sourceLanguage is the language spoken in the video ('auto' detects it), summaryLanguage the language to write
+// the summary in (by default the source language, or English when that is detected). The older `language` option
+// sets both; `language` in the result is the summary language.
+// `template` is a template ID in the request and the template itself ({ id, name, prompt }) in the result,
+// so a queued job keeps the prompt it was started with.
+function parseSummaryOptions(body = {}) {
+  const {
+    language = null,
+    sourceLanguage = language || 'auto',
+    summaryLanguage = language || (sourceLanguage === 'auto' ? 'en' : sourceLanguage),
+    refresh = false,
+    summaryMode = 'standard',
+    summaryModel = null,
+    whisperModel = null,
+    template = null
+  } = body;
+  
+  if (language !== null && !isValidLanguageCode(language)) {
+    return { error: 'language must be a language code such as "en" or "he"' };
+  }
+  
+  if (sourceLanguage !== 'auto' && !isValidLanguageCode(sourceLanguage)) {
+    return { error: 'sourceLanguage must be "auto" or a language code such as "en" or "he"' };
+  }
+  
+  if (!isValidLanguageCode(summaryLanguage)) {
+    return { error: 'summaryLanguage must be a language code such as "en" or "he"' };
+  }
+  
+  if (!['standard', 'chapters'].includes(summaryMode)) {
+    return { error: 'summaryMode must be "standard" or "chapters"' };
+  }
+  
+  if (summaryModel !== null && (typeof summaryModel !== 'string' || !summaryModel.trim())) {
+    return { error: 'summaryModel must be a model name' };
+  }
+  
+  // Whisper model names become file names (ggml-<name>.bin)
+  if (whisperModel !== null && (typeof whisperModel !== 'string' || !/^[\w.-]+$/.test(whisperModel))) {
+    return { error: 'whisperModel must be a Whisper model name such as "base" or "large-v3"' };
+  }
+  
+  // '' = no template (multipart forms can't send null)
+  const promptTemplate = template ? templates.get(template) : null;
+  if (template && !promptTemplate) {
+    return { error: `Unknown template: ${JSON.stringify(template)} - see GET /api/templates` };
+  }
+  if (promptTemplate && summaryMode === 'chapters') {
+    return { error: 'template only applies to summaryMode "standard"' };
+  }
+  
+  return {
+    sourceLanguage,
+    summaryLanguage,
+    language: summaryLanguage,
+    refresh: parseBoolean(refresh),
+    summaryMode,
+    summaryModel: summaryModel?.trim() || null,
+    whisperModel: whisperModel || null,
+    template: promptTemplate && { id: promptTemplate.id, name: promptTemplate.name, prompt: promptTemplate.prompt }
+  };
+}
+
+// Validate a video URL: a YouTube link or any other http(s) URL yt-dlp supports.
+// Returns { error } or { youtubeUrl, videoId, sourceUrl } - only the canonical YouTube URL rebuilt from
+// the video ID (or the normalized URL) is used from here on.
+function parseSourceUrl(url) {
+  if (!url) {
+    return { error: 'A video URL is required' };
+  }
+  
+  const videoId = extractVideoId(url);
+  const sourceUrl = videoId ? canonicalYouTubeUrl(videoId) : normalizeSourceUrl(url);
+  if (!sourceUrl) {
+    return { error: 'Invalid URL - enter a YouTube link or another http(s) URL supported by yt-dlp' };
+  }
+  return { youtubeUrl: videoId ? sourceUrl : null, videoId, sourceUrl };
+}
+
+// Validate a summarize request body. Returns { error } or the normalized pipeline params.
+// `url` (or `youtubeUrl`, its older name) is a YouTube link or any other http(s) URL yt-dlp supports.
+function parseSummarizeRequest(body = {}) {
+  const { url = body.youtubeUrl, forceAudioDownload = false } = body;
+  
+  const source = parseSourceUrl(url);
+  if (source.error) {
+    return source;
+  }
+  
+  const options = parseSummaryOptions(body);
+  if (options.error) {
+    return options;
+  }
+  
+  return {
+    ...source,
+    forceAudioDownload: parseBoolean(forceAudioDownload),
+    ...options
+  };
+}
+
+// Stable ID for a video on any site: yt-dlp's extractor plus the site's own ID (e.g. "vimeo-76979871").
+// YouTube videos keep their bare video ID, so caches and library entries from before stay valid.
+function sourceIdFromMetadata(metadata) {
+  if (metadata.extractor === 'Youtube' && isValidVideoId(metadata.id)) {
+    return metadata.id;
+  }
+  return `${metadata.extractor.toLowerCase()}-${metadata.id}`.replace(/[^\w.-]/g, '_');
+}
+
+// Most videos a batch may summarize (requests can ask for fewer with `maxItems`)
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+
+// Validate a batch request body. Returns { error } or { url, maxItems, forceAudioDownload, ...summary options }.
+// `url` is a playlist or channel URL; it is passed to yt-dlp as normalized, not reduced to a video ID.
+function parseBatchRequest(body = {}) {
+  const { url, maxItems = BATCH_MAX_ITEMS, forceAudioDownload = false } = body;
+  
+  if (!url) {
+    return { error: 'A playlist or channel URL is required' };
+  }
+  
+  const playlistUrl = normalizeSourceUrl(url);
+  if (!playlistUrl) {
+    return { error: 'Invalid URL - enter a playlist or channel URL supported by yt-dlp' };
+  }
+  
+  const limit = Number(maxItems);
+  if (!Number.isInteger(limit) || limit < 1 || limit > BATCH_MAX_ITEMS) {
+    return { error: `maxItems must be a whole number from 1 to ${BATCH_MAX_ITEMS}` };
+  }
+  
+  const options = parseSummaryOptions(body);
+  if (options.error) {
+    return options;
+  }
+  
+  return { url: playlistUrl, maxItems: limit, forceAudioDownload: parseBoolean(forceAudioDownload), ...options };
+}
+
+// Audio/video files accepted for upload (anything ffmpeg can read, limited to the usual formats).
+// Subtitle files (SUBTITLE_FORMATS) are accepted too and used as the transcript.
+const UPLOAD_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.oga', '.opus', '.wma', '.webm', '.mp4', '.m4v', '.mkv', '.mov', '.avi', '.mpeg', '.mpg'];
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 2048;
+
+// Uploads are written to tmp/ under a generated name - the original name is only kept for display
+const uploadFile = multer({
+  storage: multer.diskStorage({
+    destination: tmpDir,
+    filename: (req, file, cb) => cb(null, `upload-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  defParamCharset: 'utf8', // Browsers send non-ASCII (e.g. Hebrew) file names as UTF-8
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension) && !SUBTITLE_FORMATS[extension]) {
+      return cb(new Error(`Unsupported file type "${extension || file.originalname}". Upload an audio or video file (${UPLOAD_EXTENSIONS.join(', ')}) or subtitles (${Object.keys(SUBTITLE_FORMATS).join(', ')}).`));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Content hash of an uploaded file, so the same recording maps to the same cache entries
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Metadata for an uploaded file: the file name (without extension) as title
+function uploadMetadata(upload) {
+  return {
+    title: path.basename(upload.originalName, path.extname(upload.originalName)),
+    fileName: upload.originalName,
+    fileSize: upload.size
+  };
+}
+
+// Transcripts are cached per video and spoken language ('auto' when it wasn't known before transcribing)
+function transcriptCacheKey(videoId, language) {
+  return `${videoId}-${language}`;
+}
+
+// Summaries also depend on the model, the prompts, the chapters (for chapter summaries)
+// and the exact transcript they were made from, so changing any of them produces a fresh summary.
+// language is the summary language; a different sourceLanguage changes the prompts (and so the key).
+function summaryCacheKey(videoId, language, transcriptText, chapters = null, model = llm.model, template = null, title = null, sourceLanguage = language) {
+  const chunkSize = language === 'he' ? SUMMARY_CHUNK_SIZE_HE : SUMMARY_CHUNK_SIZE;
+  return hashKey(
+    videoId,
+    language,
+    llm.name,
+    model,
+    buildSummaryPrompt('{{transcript}}', language, sourceLanguage),
+    buildChunkPrompt('{{transcript}}', '{{index}}', '{{total}}', language, sourceLanguage),
+    buildMergePrompt(['{{summary}}'], language),
+    chunkSize,
+    SUMMARY_CHUNK_OVERLAP,
+    chapters && [
+      chapters,
+      buildChapterPrompt('{{transcript}}', '{{title}}', language, sourceLanguage),
+      buildChapterPrompt('{{transcript}}', null, language, sourceLanguage),
+      buildTldrPrompt([{ title: '{{title}}', summary: '{{summary}}' }], language)
+    ],
+    // Only added with a template so the keys of existing summaries stay the same
+    ...(template ? [[template.prompt, title]] : []),
+    transcriptText
+  );
+}
+
+// Reuse the transcript files a cache entry points to, re-saving them if they were deleted from data/
+function ensureCachedTranscriptFiles(cacheKey, cachedTranscript) {
+  const { transcriptFilename, segmentsFilename } = cachedTranscript;
+  if (transcriptFilename && segmentsFilename &&
+      fs.existsSync(path.join(dataDir, transcriptFilename)) &&
+      fs.existsSync(path.join(dataDir, segmentsFilename))) {
+    return { transcriptFilename, segmentsFilename };
+  }
+  
+  const files = saveTranscript(cachedTranscript);
+  cache.set('transcripts', cacheKey, { ...cachedTranscript, ...files });
+  return files;
+}
+
+// The summarize pipeline: transcript (YouTube or audio download + whisper) → summary.
+// Sources other than YouTube (sourceUrl without videoId) go through the same yt-dlp subtitle and audio steps;
+// their source ID comes from the yt-dlp metadata. YouTube-only steps (language code mapping, youtube-transcript, oEmbed) are skipped.
+// With `upload` ({ path, originalName, size, sourceId }) an uploaded audio/video file is transcribed instead of a YouTube video;
+// sourceId (a hash of the file) takes the place of the video ID in the cache, so re-uploading the same file reuses its transcript.
+// Uploaded subtitles carry their parsed `transcript` and skip download and transcription altogether.
+// An upload may still name the YouTube video it belongs to (videoId/youtubeUrl) for its metadata and chapters.
+// sendProgress(stage, status, data) reports progress; signal cancels child processes and LLM calls.
+// Returns the final result (also sent as the 'complete' event). Errors carry a `progress` snapshot.
+// Transcripts and summaries are served from the cache unless `refresh` is set; cached stages report status 'cached'.
+// summaryMode 'chapters' summarizes chapter by chapter (creator chapters, or fixed-length sections derived from the segments).
+// summaryModel / whisperModel override the configured LLM model and Whisper model for this run.
+// sourceLanguage 'auto' takes the spoken language from the metadata (the site's language or its subtitle tracks);
+// when that is unknown the subtitle check is skipped and Whisper detects it. The summary is written in summaryLanguage.
+async function runSummarizePipeline({
+  youtubeUrl = null,
+  videoId = null,
+  sourceUrl = null,
+  upload = null,
+  sourceLanguage = 'auto',
+  summaryLanguage,
+  forceAudioDownload = false,
+  refresh,
+  summaryMode = 'standard',
+  summaryModel = null,
+  whisperModel = null,
+  template = null
+}, sendProgress, signal) {
+  let sourceId = upload ? upload.sourceId : videoId;
+  console.log(`Processing ${upload ? `uploaded file: ${upload.originalName}` : `video: ${videoId || sourceUrl}`} in language: ${sourceLanguage} → ${summaryLanguage}, forceAudioDownload: ${forceAudioDownload}, refresh: ${refresh}, summaryMode: ${summaryMode}`);
+  const model = summaryModel || llm.model;
+  const whisperModelName = whisperModel || DEFAULT_WHISPER_MODEL;
+  
+  let audioPath = null;
+  let transcript = null; // { text, segments, source }
+  let summary = null;
+  let chapterSummary = null; // { tldr, chapters } in 'chapters' mode
+  let transcriptFilePath = null;
+  let segmentsFilePath = null;
+  let summaryFilePath = null;
+  let chaptersFilename = null;
+  let usedYouTubeTranscript = false;
+  let metadata = null;
+  const cached = { transcript: false, summary: false, metadata: false };
+  
+  try {
+    // Video metadata (title, duration, chapters...) - optional for YouTube videos, the pipeline continues without it.
+    // Other sites need it for their source ID. Uploads without a YouTube video are titled after their file name.
+    const metadataKey = videoId || (sourceUrl && `url-${hashKey(sourceUrl).slice(0, 32)}`);
+    metadata = !metadataKey ? uploadMetadata(upload) : refresh ? null : cache.get('metadata', metadataKey);
+    if (!metadataKey) {
+      sendProgress('metadata', 'completed', { metadata });
+    } else if (metadata) {
+      cached.metadata = true;
+      sendProgress('metadata', 'cached', { metadata });
+    } else {
+      metadata = await getVideoMetadata(youtubeUrl || sourceUrl, signal);
+      if (metadata) {
+        cache.set('metadata', metadataKey, metadata);
+        sendProgress('metadata', 'completed', { metadata });
+      }
+    }
+    
+    if (!sourceId) {
+      if (!metadata?.extractor || !metadata.id) {
+        throw new Error(`yt-dlp could not read ${sourceUrl}. Check that it links to a single video or audio file on a site yt-dlp supports (see yt-dlp --list-extractors).`);
+      }
+      sourceId = sourceIdFromMetadata(metadata);
+      // A YouTube link extractVideoId didn't recognize - continue as a YouTube video
+      if (isValidVideoId(sourceId)) {
+        videoId = sourceId;
+        youtubeUrl = canonicalYouTubeUrl(videoId);
+      }
+      console.log(`Source ID: ${sourceId} (${metadata.extractor})`);
+    }
+    // Where the summary links back to
+    const sourcePageUrl = youtubeUrl || metadata?.webpageUrl || sourceUrl;
+    const transcriptLabel = videoId ? 'YouTube transcript' : 'subtitles';
+    
+    // The spoken language, if known before transcribing (Whisper may still detect it below)
+    let spokenLanguage = sourceLanguage === 'auto' ? detectSourceLanguage(metadata) : sourceLanguage;
+    if (sourceLanguage === 'auto') {
+      console.log(`Detected source language: ${spokenLanguage || 'unknown'}`);
+    }
+    const transcriptKey = transcriptCacheKey(sourceId, spokenLanguage || 'auto');
+
+    // Check the cache first. A forced audio download only accepts a cached Whisper transcript,
+    // and an explicitly requested Whisper model only accepts a Whisper transcript made with that model.
+    const cachedTranscript = refresh || upload?.transcript ? null : cache.get('transcripts', transcriptKey);
+    const cachedTranscriptUsable = cachedTranscript &&
+      (!forceAudioDownload || cachedTranscript.source === 'whisper') &&
+      (!whisperModel || cachedTranscript.source !== 'whisper' || cachedTranscript.whisperModel === whisperModel);
+    
+    if (cachedTranscriptUsable) {
+      transcript = cachedTranscript;
+      cached.transcript = true;
+      usedYouTubeTranscript = cachedTranscript.source !== 'whisper';
+      console.log(`Using cached transcript (${cachedTranscript.source}) for ${sourceId}`);
+      
+      const { transcriptFilename, segmentsFilename } = ensureCachedTranscriptFiles(transcriptKey, cachedTranscript);
+      transcriptFilePath = path.join(dataDir, transcriptFilename);
+      segmentsFilePath = path.join(dataDir, segmentsFilename);
+      sendProgress('download', 'cached', { message: 'Skipped - Using cached transcript' });
+      sendProgress('transcribe', 'cached', {
+        message: `Cached transcript (${cachedTranscript.source})`,
+        transcriptFilePath: transcriptFilename,
+        segmentsFilePath: segmentsFilename,
+        usedYouTubeTranscript
+      });
+    } else if (upload?.transcript) {
+      // Uploaded subtitles are the transcript - nothing to download or transcribe
+      transcript = upload.transcript;
+      const { transcriptFilename, segmentsFilename } = saveTranscript(transcript);
+      transcriptFilePath = path.join(dataDir, transcriptFilename);
+      segmentsFilePath = path.join(dataDir, segmentsFilename);
+      console.log(`Using uploaded subtitles (${transcript.segments.length} cues) saved to:`, transcriptFilename);
+      sendProgress('download', 'skipped', { message: 'Skipped - Using uploaded subtitles' });
+      sendProgress('transcribe', 'skipped', {
+        message: `Skipped - Using uploaded subtitles (${upload.originalName})`,
+        transcriptFilePath: transcriptFilename,
+        segmentsFilePath: segmentsFilename
+      });
+    } else if (upload) {
+      // Uploaded files go straight to transcription
+      sendProgress('download', 'completed', {
+        message: 'File uploaded',
+        audioPath: upload.originalName
+      });
+    } else if (!spokenLanguage) {
+      // Subtitles are fetched by language - with no language to ask for, let Whisper detect it
+      console.log(`Source language unknown. Skipping ${transcriptLabel} check.`);
+      sendProgress('download', 'processing', { message: 'Source language unknown - downloading audio for Whisper to detect it...' });
+    } else if (!forceAudioDownload) {
+      // Step 0: Check if YouTube transcript is available (unless forced to download audio)
+      console.log(`Step 0: Checking for ${transcriptLabel}...`);
+      sendProgress('download', 'processing', { message: `Checking for ${transcriptLabel}...` });
+      // Other sites name subtitle languages their own way ("en", "en-US", "eng"...), so match on the prefix
+      transcript = videoId
+        ? await getYouTubeTranscript(videoId, spokenLanguage, signal)
+        : await getTranscriptWithYtDlp(sourceUrl, `${spokenLanguage}.*`, signal, ['vtt', 'srt']);
+      signal.throwIfAborted();
+      
+      if (transcript && transcript.text.trim().length > 0) {
+        // Existing transcript is available - skip download and transcription
+        usedYouTubeTranscript = !!videoId;
+        console.log(`${transcriptLabel} found! Skipping download and transcription.`);
+        sendProgress('download', 'skipped', { 
+          message: `Skipped - Using ${transcriptLabel}`
+        });
+        sendProgress('transcribe', 'skipped', { 
+          message: `Skipped - Using ${transcriptLabel}`
+        });
+      
+        // Save transcript and its segments to file
+        const { transcriptFilename, segmentsFilename } = saveTranscript(transcript);
         transcriptFilePath = path.join(dataDir, transcriptFilename);
-        fs.writeFileSync(transcriptFilePath, transcript, 'utf-8');
-        console.log('Transcript saved to:', transcriptFilename);
+        segmentsFilePath = path.join(dataDir, segmentsFilename);
+        cache.set('transcripts', transcriptKey, { ...transcript, language: spokenLanguage, transcriptFilename, segmentsFilename });
+        console.log(`${transcriptLabel} saved to:`, transcriptFilename);
         sendProgress('transcribe', 'completed', { 
-          message: 'Audio transcribed',
-          transcriptFilePath: transcriptFilename
+          message: videoId ? 'YouTube transcript retrieved' : 'Subtitles retrieved',
+          transcriptFilePath: transcriptFilename,
+          segmentsFilePath: segmentsFilename,
+          usedYouTubeTranscript
+        });
+      } else {
+        // No transcript available - proceed with download and transcription
+        console.log(`No ${transcriptLabel} available. Proceeding with audio download and transcription.`);
+        sendProgress('download', 'processing', { message: `No ${transcriptLabel} found. Downloading audio...` });
+      }
+    } else {
+      // Force audio download - skip transcript check
+      console.log(`Force audio download enabled. Skipping ${transcriptLabel} check.`);
+      sendProgress('download', 'processing', { message: 'Downloading audio (forced)...' });
+    }
+    
+    // If we don't have a transcript yet, proceed with download and transcription
+    if (!transcript || transcript.text.trim().length === 0) {
+      // Whisper runs take roughly as long as the video (or longer) on slower machines
+      if (metadata?.duration && metadata.duration > WHISPER_LONG_VIDEO_MINUTES * 60) {
+        const warning = `This video is ${formatDuration(metadata.duration)} long - Whisper transcription may take a long time.`;
+        console.warn(warning);
+        sendProgress('download', 'processing', { message: 'Downloading audio...', warning });
+      }
+      
+      // Step 1: Download audio (uploads are already on disk)
+      if (upload) {
+        audioPath = upload.path;
+      } else {
+        console.log('Step 1: Downloading audio...');
+        audioPath = await downloadAudio(youtubeUrl || sourceUrl, signal);
+        console.log('Audio downloaded to:', audioPath);
+        sendProgress('download', 'completed', { 
+          message: 'Audio downloaded',
+          audioPath: path.basename(audioPath)
         });
       }
       
-      // Step 3: Summarize the transcript
+      // Step 2: Transcribe audio
+      console.log('Step 2: Transcribing audio...');
+      sendProgress('transcribe', 'processing', { message: 'Transcribing audio...' });
+      transcript = await transcribeAudio(
+        audioPath,
+        spokenLanguage || 'auto',
+        signal,
+        whisperModelName,
+        (whisperProgress) => sendProgress('transcribe', 'processing', whisperProgress),
+        metadata?.duration
+      );
+      
+      if (!transcript || transcript.text.trim().length === 0) {
+        throw new Error('Failed to get transcript');
+      }
+      
+      // Save transcript and its segments to file
+      const { transcriptFilename, segmentsFilename } = saveTranscript(transcript);
+      transcriptFilePath = path.join(dataDir, transcriptFilename);
+      segmentsFilePath = path.join(dataDir, segmentsFilename);
+      cache.set('transcripts', transcriptKey, { ...transcript, transcriptFilename, segmentsFilename });
+      console.log('Transcript saved to:', transcriptFilename);
+      sendProgress('transcribe', 'completed', { 
+        message: 'Audio transcribed',
+        transcriptFilePath: transcriptFilename,
+        segmentsFilePath: segmentsFilename
+      });
+    }
+    
+    // The transcript's language: as requested or found in the metadata, otherwise as Whisper detected it
+    spokenLanguage = spokenLanguage || transcript.language || null;
+    
+    // Chapter mode needs chapters: the creator's, or sections derived from the segment timings
+    const chapters = summaryMode === 'chapters'
+      ? (metadata?.chapters?.length > 0 ? metadata.chapters : deriveChapters(transcript.segments))
+      : null;
+    if (summaryMode === 'chapters' && !chapters) {
+      console.log('No chapters or segment timings available, falling back to a standard summary');
+      sendProgress('summarize', 'processing', {
+        message: 'No chapters or timestamps available - writing a standard summary',
+        warning: 'This transcript has no chapters or timestamps, so a standard summary was written instead.'
+      });
+    }
+    
+    // Step 3: Summarize the transcript (or reuse a cached summary of the same transcript)
+    const summaryKey = summaryCacheKey(sourceId, summaryLanguage, transcript.text, chapters, model, template, metadata?.title, spokenLanguage);
+    const cachedSummary = refresh ? null : cache.get('summaries', summaryKey);
+    let filename;
+    
+    if (cachedSummary && fs.existsSync(path.join(dataDir, cachedSummary.summaryFilename))) {
+      summary = cachedSummary.summary;
+      chapterSummary = cachedSummary.chapterSummary || null;
+      chaptersFilename = cachedSummary.chaptersFilename || null;
+      filename = cachedSummary.summaryFilename;
+      summaryFilePath = path.join(dataDir, filename);
+      cached.summary = true;
+      console.log(`Using cached summary: ${filename}`);
+      sendProgress('summarize', 'cached', {
+        message: 'Using cached summary',
+        summaryFilePath: filename,
+        summary,
+        chapterSummary
+      });
+    } else {
       console.log('Step 3: Summarizing transcript...');
       sendProgress('summarize', 'processing', { message: 'Summarizing transcript...' });
-      summary = await summarizeText(transcript, language);
+      const onSummaryProgress = (chunkProgress) => {
+        sendProgress('summarize', 'processing', chunkProgress);
+      };
       
-      // Step 4: Save summary to file
+      if (chapters) {
+        chapterSummary = await summarizeByChapter(transcript.segments, chapters, summaryLanguage, onSummaryProgress, signal, model, { sourceLanguage: spokenLanguage });
+        summary = formatChapterSummary(chapterSummary);
+      } else {
+        summary = await summarizeText(transcript.text, summaryLanguage, onSummaryProgress, signal, model, { template, title: metadata?.title, sourceLanguage: spokenLanguage });
+      }
+      
+      // Step 4: Save summary to file (chapter summaries also get a JSON outline next to it)
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${timestamp}-summary.txt`;
+      filename = `${timestamp}-summary.txt`;
       summaryFilePath = path.join(dataDir, filename);
+      if (chapterSummary) {
+        chaptersFilename = `${timestamp}-chapters.json`;
+        fs.writeJsonSync(path.join(dataDir, chaptersFilename), chapterSummary, { spaces: 2 });
+      }
       
-      const output = `YouTube URL: ${youtubeUrl}
-Language: ${language}
-Timestamp: ${new Date().toISOString()}
+      const metadataLines = metadata ? [
+        metadata.title && `Title: ${metadata.title}`,
+        metadata.channel && `Channel: ${metadata.channel}`,
+        metadata.uploadDate && `Upload Date: ${metadata.uploadDate}`,
+        metadata.duration && `Duration: ${formatDuration(metadata.duration)}`,
+        metadata.thumbnail && `Thumbnail: ${metadata.thumbnail}`
+      ].filter(Boolean).map(line => `${line}\n`).join('') : '';
+      const chaptersSection = metadata?.chapters?.length > 0
+        ? `=== CHAPTERS ===\n${metadata.chapters.map(c => `${formatDuration(c.start)} ${c.title}`).join('\n')}\n\n`
+        : '';
+      
+      const sourceLines = [
+        upload && `File: ${upload.originalName}`,
+        youtubeUrl ? `YouTube URL: ${youtubeUrl}` : sourcePageUrl && `Source URL: ${sourcePageUrl}`
+      ].filter(Boolean).join('\n');
+      const output = `${sourceLines}
+${metadataLines}Source Language: ${spokenLanguage || 'unknown'}${sourceLanguage === 'auto' ? ' (detected)' : ''}
+Language: ${summaryLanguage}
+Model: ${model}
+${template ? `Template: ${template.name}\n` : ''}Timestamp: ${new Date().toISOString()}
 
-=== TRANSCRIPT ===
-${transcript}
+${chaptersSection}=== TRANSCRIPT ===
+${transcript.text}
 
 === SUMMARY ===
 ${summary}
 `;
       
       fs.writeFileSync(summaryFilePath, output, 'utf-8');
+      cache.set('summaries', summaryKey, { summary, chapterSummary, summaryFilename: filename, chaptersFilename, model });
       console.log(`Summary saved to: ${filename}`);
       sendProgress('summarize', 'completed', { 
         message: 'Transcript summarized',
         summaryFilePath: filename,
-        summary: summary // Include summary in progress update
-      });
-      
-      // Send final result - include all data
-      sendProgress('complete', 'success', {
-        success: true,
-        videoId,
-        language,
-        usedYouTubeTranscript,
-        audioPath: audioPath ? path.basename(audioPath) : null,
-        transcript: transcript.substring(0, 500) + '...',
-        transcriptFilePath: transcriptFilePath ? path.basename(transcriptFilePath) : null,
-        summary,
-        summaryFilePath: filename,
-        savedTo: filename,
-        // Include all previous data to ensure nothing is lost
-        ...(audioPath ? { audioPath: path.basename(audioPath) } : {}),
-        ...(transcriptFilePath ? { transcriptFilePath: path.basename(transcriptFilePath) } : {}),
-        ...(filename ? { summaryFilePath: filename } : {})
+        summary: summary, // Include summary in progress update
+        chapterSummary
       });
-      
-      res.end();
-      
-    } catch (error) {
+    }
+    
+    // Record the run in the summaries library (a cached summary keeps its existing entry)
+    const libraryEntry = (cached.summary && library.findBySummaryFile(filename)) || library.add({
+      videoId,
+      youtubeUrl,
+      sourceId,
+      sourceUrl: upload && !youtubeUrl ? null : sourcePageUrl,
+      extractor: metadata?.extractor || null,
+      fileName: upload?.originalName || null,
+      title: metadata?.title || null,
+      metadata,
+      language: summaryLanguage,
+      sourceLanguage: spokenLanguage,
+      sourceLanguageDetected: sourceLanguage === 'auto',
+      summaryLanguage,
+      transcriptSource: transcript.source,
+      usedYouTubeTranscript,
+      model,
+      whisperModel: transcript.source === 'whisper' ? transcript.whisperModel || null : null,
+      summaryMode: chapterSummary ? 'chapters' : 'standard',
+      template: template && { id: template.id, name: template.name },
+      files: {
+        transcript: path.basename(transcriptFilePath),
+        segments: path.basename(segmentsFilePath),
+        summary: filename,
+        chapters: chaptersFilename
+      }
+    });
+    
+    scheduleSearchIndexing(libraryEntry.id);
+    
+    // Send final result - include all data
+    const result = {
+      success: true,
+      summaryId: libraryEntry.id,
+      videoId,
+      sourceId,
+      sourceUrl: upload && !youtubeUrl ? null : sourcePageUrl,
+      extractor: metadata?.extractor || null,
+      fileName: upload?.originalName || null,
+      metadata,
+      language: summaryLanguage,
+      sourceLanguage: spokenLanguage,
+      sourceLanguageDetected: sourceLanguage === 'auto',
+      summaryLanguage,
+      usedYouTubeTranscript,
+      audioPath: upload ? upload.originalName : audioPath ? path.basename(audioPath) : null,
+      transcript: transcript.text.substring(0, 500) + '...',
+      transcriptSource: transcript.source,
+      segmentCount: transcript.segments.length,
+      transcriptFilePath: transcriptFilePath ? path.basename(transcriptFilePath) : null,
+      segmentsFilePath: segmentsFilePath ? path.basename(segmentsFilePath) : null,
+      summary,
+      summaryMode: chapterSummary ? 'chapters' : 'standard',
+      template: template && { id: template.id, name: template.name },
+      chapterSummary,
+      model,
+      whisperModel: transcript.source === 'whisper' ? transcript.whisperModel || null : null,
+      summaryFilePath: filename,
+      savedTo: filename,
+      cached
+    };
+    sendProgress('complete', 'success', result);
+    
+    return result;
+  } catch (error) {
+    if (!signal.aborted) {
       console.error('Error processing video:', error);
       console.error('Error stack:', error.stack);
-      sendProgress('error', 'error', {
-        error: 'Failed to process video',
-        message: error.message || 'Unknown error occurred',
-        progress: {
-          audioDownloaded: !!audioPath,
-          transcribed: !!transcript,
-          summarized: !!summary
-        }
+    }
+    error.progress = {
+      audioDownloaded: !!audioPath,
+      transcribed: !!transcript,
+      summarized: !!summary,
+      metadata: !!metadata
+    };
+    throw error;
+  }
+}
+
+// The batch pipeline: list a playlist's videos, run the summarize pipeline on each in turn, then write a series digest.
+// Events: 'playlist' (the video list), 'item' (one video's state after each of its stage updates, as `item`),
+// 'batch' (overall progress), 'digest' (with `delta` while it streams) and 'complete' with the batch result.
+// A video that fails is recorded and skipped; the batch only fails when none of its videos could be summarized.
+async function runBatch({ url, maxItems, ...options }, sendProgress, signal) {
+  sendProgress('playlist', 'processing', { message: 'Reading the playlist...' });
+  const playlist = await getPlaylist(url, maxItems, signal);
+  if (playlist.entries.length === 0) {
+    throw new Error(`No videos found at ${url}`);
+  }
+  
+  const items = createBatchItems(playlist.entries);
+  const playlistInfo = { title: playlist.title, url: playlist.url, extractor: playlist.extractor };
+  console.log(`Batch: ${items.length} videos from ${playlist.title || url}`);
+  sendProgress('playlist', 'completed', {
+    message: `Found ${items.length} videos`,
+    playlist: playlistInfo,
+    items: items.map(serializeBatchItem)
+  });
+  
+  const reportItem = (item) => sendProgress('item', item.status, { item: serializeBatchItem(item) });
+  const reportBatch = (message) => sendProgress('batch', 'processing', { message, ...batchProgress(items) });
+  
+  for (const item of items) {
+    signal.throwIfAborted();
+    item.status = 'running';
+    reportItem(item);
+    reportBatch(`Video ${item.index + 1}/${items.length}: ${item.title || item.url}`);
+    
+    // Forward stage updates (not the streamed summary text) to the item; the metadata fills in a missing title
+    const onItemProgress = (stage, status, data = {}) => {
+      if (stage === 'metadata') {
+        if (!data.metadata?.title || data.metadata.title === item.title) return;
+        item.title = data.metadata.title;
+      } else if (data.delta || !applyItemEvent(item, stage, status, data)) {
+        return;
+      }
+      reportItem(item);
+    };
+    
+    try {
+      const source = parseSourceUrl(item.url);
+      if (source.error) {
+        throw new Error(source.error);
+      }
+      const result = await runSummarizePipeline({ ...source, ...options }, onItemProgress, signal);
+      Object.assign(item, {
+        status: 'completed',
+        message: 'Summarized',
+        sourceId: result.sourceId,
+        summaryId: result.summaryId,
+        summary: result.summary
       });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      console.error(`Batch video ${item.url} failed: ${error.message}`);
+      Object.assign(item, { status: 'failed', message: error.message, error: error.message });
+    }
+    reportItem(item);
+  }
+  
+  const summarized = items.filter(item => item.status === 'completed');
+  reportBatch(`${summarized.length} of ${items.length} videos summarized`);
+  if (summarized.length === 0) {
+    throw new Error(`None of the ${items.length} videos could be summarized`);
+  }
+  
+  // Series digest from the individual summaries
+  const model = options.summaryModel || llm.model;
+  const digest = await summarizeSeries(
+    summarized,
+    playlist.title,
+    options.language,
+    (digestProgress) => sendProgress('digest', 'processing', digestProgress),
+    signal,
+    model
+  );
+  
+  const digestFilename = `${new Date().toISOString().replace(/[:.]/g, '-')}-digest.txt`;
+  const videoLines = items
+    .map(item => `${item.index + 1}. ${item.title || item.url} - ${item.url}${item.status === 'failed' ? ` (failed: ${item.error})` : ''}`)
+    .join('\n');
+  fs.writeFileSync(path.join(dataDir, digestFilename), `Playlist: ${playlist.title || ''}
+URL: ${playlist.url}
+Videos: ${summarized.length} of ${items.length} summarized
+Language: ${options.language}
+Model: ${model}
+Timestamp: ${new Date().toISOString()}
+
+=== VIDEOS ===
+${videoLines}
+
+=== SERIES DIGEST ===
+${digest}
+`, 'utf-8');
+  console.log(`Series digest saved to: ${digestFilename}`);
+  sendProgress('digest', 'completed', { message: 'Series digest written', digest, digestFilePath: digestFilename });
+  
+  const result = {
+    success: true,
+    playlist: playlistInfo,
+    items: items.map(serializeBatchItem),
+    ...batchProgress(items),
+    language: options.language,
+    model,
+    digest,
+    digestFilePath: digestFilename
+  };
+  sendProgress('complete', 'success', result);
+  return result;
+}
+
+// Transcripts are translated in batches of about this many characters (a batch's translation has to fit
+// in one model response, so this stays well below the summary chunk size)
+const TRANSLATION_CHUNK_SIZE = parseInt(process.env.TRANSLATION_CHUNK_SIZE, 10) || 2000;
+
+// The translation pipeline: translate a library entry's whole transcript line by line into `language`, keeping the
+// segment timings, and store it next to the transcript (data/<timestamp>-translation-<language>.json).
+// A stored translation is reused unless `refresh` is set. Events: 'translate' (progress) and 'complete' with
+// { summaryId, language, sourceLanguage, model, createdAt, untranslated, segments }.
+async function runTranslation({ summaryId, language, model = null, refresh = false }, sendProgress, signal) {
+  const entry = library.getWithContent(summaryId);
+  if (!entry) {
+    throw new Error('Summary not found - it may have been deleted');
+  }
+  const languageName = languageNames[language] || language;
+  
+  const stored = refresh ? null : library.getTranslation(summaryId, language);
+  if (stored) {
+    sendProgress('translate', 'cached', { message: `Using the saved ${languageName} translation` });
+    const result = { summaryId, ...stored };
+    sendProgress('complete', 'success', result);
+    return result;
+  }
+  
+  const lines = transcriptLines(entry);
+  if (lines.length === 0) {
+    throw new Error('This summary has no transcript to translate');
+  }
+  
+  const translationModel = model || llm.model;
+  console.log(`Translating ${lines.length} transcript lines of ${summaryId} into ${language} with ${translationModel}`);
+  sendProgress('translate', 'processing', { message: `Translating ${lines.length} lines into ${languageName}...` });
+  const { segments, untranslated } = await translateLines(llm, lines, {
+    sourceName: entry.sourceLanguage ? languageNames[entry.sourceLanguage] || entry.sourceLanguage : null,
+    targetName: languageName,
+    targetLanguage: language,
+    model: translationModel,
+    signal,
+    batchChars: TRANSLATION_CHUNK_SIZE,
+    onProgress: (progress) => sendProgress('translate', 'processing', progress)
+  });
+  if (untranslated > 0) {
+    console.warn(`${untranslated} of ${lines.length} lines were not translated and keep their original text`);
+  }
+  
+  const translation = {
+    language,
+    sourceLanguage: entry.sourceLanguage || null,
+    model: translationModel,
+    createdAt: new Date().toISOString(),
+    untranslated,
+    segments
+  };
+  const timestamp = translation.createdAt.replace(/[:.]/g, '-');
+  const filename = `${timestamp}-translation-${language}.json`;
+  fs.writeJsonSync(path.join(dataDir, filename), translation, { spaces: 2 });
+  
+  // The entry may have been deleted or re-translated while this ran
+  const current = library.get(summaryId);
+  if (!current) {
+    fs.removeSync(path.join(dataDir, filename));
+    throw new Error('Summary not found - it was deleted during the translation');
+  }
+  const previousFile = current.translations?.[language]?.file;
+  library.update(summaryId, {
+    translations: {
+      ...current.translations,
+      [language]: { file: filename, model: translationModel, createdAt: translation.createdAt, segmentCount: segments.length, untranslated }
+    }
+  });
+  if (previousFile && previousFile !== filename) {
+    fs.removeSync(path.join(dataDir, previousFile));
+  }
+  
+  const result = { summaryId, ...translation };
+  sendProgress('translate', 'completed', {
+    message: `Transcript translated into ${languageName}`,
+    ...(untranslated > 0 ? { warning: `${untranslated} of ${segments.length} lines could not be translated and are shown in the original language.` } : {})
+  });
+  sendProgress('complete', 'success', result);
+  return result;
+}
+
+// Add a finished run's transcript to the search index. Runs in the background, one summary at a time;
+// failures (e.g. the embedding model isn't installed) are only logged - npm run backfill-embeddings catches up.
+let searchIndexing = Promise.resolve();
+function scheduleSearchIndexing(summaryId) {
+  searchIndexing = searchIndexing
+    .then(async () => {
+      const entry = library.getWithContent(summaryId);
+      if (!entry?.transcript?.trim() || searchIndex.isCurrent(entry)) return;
+      const passages = await searchIndex.indexEntry(entry);
+      console.log(`Indexed ${passages} transcript passages of ${summaryId} for search`);
+    })
+    .catch(error => console.warn(`Could not index ${summaryId} for search: ${error.message}`));
+}
+
+// Set up a Server-Sent Events response
+function startEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+// Stream a job's events (replaying the ones already emitted) until the job finishes
+function streamJobEvents(job, req, res, afterEventId = -1) {
+  startEventStream(res);
+  
+  const unsubscribe = subscribeToJob(job, afterEventId, (event) => {
+    if (!event) {
       res.end();
+      return;
     }
-  } catch (error) {
-    console.error('Error processing video:', error);
-    console.error('Error stack:', error.stack);
-    sendProgress('error', 'error', {
-      error: 'Failed to process video',
-      message: error.message || 'Unknown error occurred'
+    // Streamed text has no id, so a reconnect resumes after the last stored event
+    res.write(`${event.id !== null ? `id: ${event.id}\n` : ''}data: ${JSON.stringify(event.data)}\n\n`);
+  });
+  
+  res.on('close', unsubscribe);
+}
+
+// Queue a summarize job. Returns the job ID right away; progress is read from /api/jobs/:id/events
+app.post('/api/jobs', (req, res) => {
+  const params = parseSummarizeRequest(req.body);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+  
+  const job = createJob('summarize', params, ({ emit, signal }) => runSummarizePipeline(params, emit, signal));
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+// Queue a summarize job for an uploaded audio/video or subtitle file (multipart/form-data: `file` plus the
+// summary options as form fields, and optionally the `youtubeUrl` the file belongs to).
+// Responds like POST /api/jobs; progress is read from /api/jobs/:id/events.
+app.post('/api/uploads', (req, res) => {
+  uploadFile(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = uploadError.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${MAX_UPLOAD_MB} MB` : uploadError.message;
+      return res.status(status).json({ error: message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'An audio, video or subtitle file is required (form field "file")' });
+    }
+    
+    const rejectUpload = (status, error) => {
+      fs.removeSync(req.file.path);
+      res.status(status).json({ error });
+    };
+    
+    const options = parseSummaryOptions(req.body);
+    if (options.error) {
+      return rejectUpload(400, options.error);
+    }
+    
+    const videoId = req.body.youtubeUrl ? extractVideoId(req.body.youtubeUrl) : null;
+    if (req.body.youtubeUrl && !videoId) {
+      return rejectUpload(400, 'Invalid YouTube URL');
+    }
+    
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const isSubtitles = !!SUBTITLE_FORMATS[extension];
+    
+    try {
+      const hash = (await hashFile(req.file.path)).slice(0, 32);
+      const upload = {
+        path: req.file.path,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        sourceId: `${isSubtitles ? 'subtitles' : 'upload'}-${hash}`
+      };
+      
+      // Subtitles are parsed right away so a file without any cues is rejected before queueing
+      if (isSubtitles) {
+        const segments = parseSubtitleFile(fs.readFileSync(req.file.path, 'utf-8'), extension);
+        fs.removeSync(req.file.path);
+        if (!segments) {
+          return res.status(400).json({ error: `No subtitles found in ${req.file.originalname}` });
+        }
+        upload.transcript = { text: segmentsToText(segments, '\n'), segments, source: 'subtitles' };
+      }
+      
+      const params = {
+        ...options,
+        upload,
+        ...(videoId ? { videoId, youtubeUrl: canonicalYouTubeUrl(videoId) } : {})
+      };
+      const job = createJob('summarize', { ...options, fileName: upload.originalName, videoId }, ({ emit, signal }) => runSummarizePipeline(params, emit, signal));
+      // transcribeAudio deletes the file once transcribed; this covers cached transcripts, failures and cancelled jobs
+      if (!isSubtitles) {
+        subscribeToJob(job, -1, (event) => {
+          if (!event) fs.removeSync(upload.path);
+        });
+      }
+      res.status(202).json({ jobId: job.id, status: job.status });
+    } catch (error) {
+      rejectUpload(500, `Failed to read uploaded file: ${error.message}`);
+    }
+  });
+});
+
+// Queue a batch job for a playlist or channel: every video goes through the summarize pipeline in turn
+// (as one job, so batches wait in the same queue), then a series digest is written from their summaries.
+// Responds like POST /api/jobs; progress is read from /api/jobs/:id/events.
+app.post('/api/batches', (req, res) => {
+  const params = parseBatchRequest(req.body);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+  
+  const job = createJob('batch', params, ({ emit, signal }) => runBatch(params, emit, signal));
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs().map(serializeJob), concurrency: JOB_CONCURRENCY });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Progress stream. Reconnecting clients resume after the Last-Event-ID header (sent automatically
+// by EventSource) or the ?after= query parameter; without either, the whole history is replayed.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.after, 10);
+  streamJobEvents(job, req, res, Number.isNaN(lastEventId) ? -1 : lastEventId);
+});
+
+// Cancel a job: queued jobs are dropped, running ones have their child processes and LLM request aborted
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  }
+  res.json({ jobId: job.id, cancelled: true });
+});
+
+// Main endpoint with Server-Sent Events for progress updates.
+// Runs the pipeline as a job tied to this response: closing the connection cancels it.
+app.post('/api/summarize', (req, res) => {
+  const params = parseSummarizeRequest(req.body);
+  if (params.error) {
+    startEventStream(res);
+    res.write(`data: ${JSON.stringify({ stage: 'error', status: 'error', error: params.error })}\n\n`);
+    return res.end();
+  }
+  
+  const job = createJob('summarize', params, ({ emit, signal }) => runSummarizePipeline(params, emit, signal));
+  streamJobEvents(job, req, res);
+  
+  res.on('close', () => {
+    if (cancelJob(job.id)) {
+      console.log(`Client disconnected, cancelled job ${job.id}`);
+    }
+  });
+});
+
+// Summaries library: list/filter/search previous runs
+// Query: q (full-text over transcripts and summaries), videoId, language, source, limit, offset
+app.get('/api/summaries', (req, res) => {
+  const { q, videoId, language, source } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  
+  const { total, entries } = library.search({ q, videoId, language, transcriptSource: source, limit, offset });
+  res.json({ total, limit, offset, summaries: entries });
+});
+
+// One library entry with its full transcript, summary and segments
+app.get('/api/summaries/:id', (req, res) => {
+  const entry = library.getWithContent(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  res.json(entry);
+});
+
+// Download a summary as Markdown, JSON, HTML, SRT or VTT (?format=md|json|html|srt|vtt, default md).
+// ?translation=<language> exports a stored transcript translation instead (SRT and VTT only).
+app.get('/api/summaries/:id/export', (req, res) => {
+  const { format = 'md', translation: translationLanguage } = req.query;
+  const exporter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exporter) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (translationLanguage !== undefined && !['srt', 'vtt'].includes(format)) {
+    return res.status(400).json({ error: 'translation only applies to the srt and vtt formats' });
+  }
+  
+  const entry = library.getWithContent(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  
+  if (translationLanguage !== undefined) {
+    const translation = isValidLanguageCode(translationLanguage) && library.getTranslation(entry.id, translationLanguage);
+    if (!translation) {
+      return res.status(404).json({ error: `No ${JSON.stringify(translationLanguage)} translation of this transcript - create one with POST /api/summaries/:id/translations` });
+    }
+    res.attachment(exportFileName(entry, `${translation.language}.${exporter.extension}`));
+    res.type(exporter.contentType);
+    return res.send(exporter.render(withTranslation(entry, translation)));
+  }
+  
+  res.attachment(exportFileName(entry, exporter.extension));
+  res.type(exporter.contentType);
+  res.send(exporter.render(entry));
+});
+
+// Delete a library entry and its files
+app.delete('/api/summaries/:id', (req, res) => {
+  if (!library.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  chats.clear(req.params.id);
+  searchIndex.remove(req.params.id);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// Follow-up questions: the transcript is sent in passages of about CHAT_PASSAGE_CHARS; when they don't
+// fit in one summary chunk, only the passages that best match the question are sent
+const CHAT_PASSAGE_CHARS = parseInt(process.env.CHAT_PASSAGE_CHARS, 10) || 1500;
+const CHAT_MAX_QUESTION_CHARS = 2000;
+
+// Longest passage text returned by GET /api/search
+const SEARCH_SNIPPET_CHARS = 300;
+
+// A summary's conversation so far
+app.get('/api/summaries/:id/chat', (req, res) => {
+  if (!library.get(req.params.id)) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  res.json({ summaryId: req.params.id, messages: chats.get(req.params.id) });
+});
+
+// Ask a question about a summary's transcript. Body: { question, model? }
+// Streams Server-Sent Events: { stage: 'answer', delta } as the answer is generated, then
+// { stage: 'complete', answer, citations, passages, messages } - or { stage: 'error', error }.
+// Closing the connection aborts the LLM request; only completed answers are added to the history.
+app.post('/api/summaries/:id/chat', async (req, res) => {
+  const controller = new AbortController();
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  
+  // Everything runs inside the try: a throw in an async handler would otherwise leave the request hanging
+  try {
+    const entry = library.getWithContent(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Summary not found' });
+    }
+    
+    const { question, model = null } = req.body || {};
+    if (typeof question !== 'string' || !question.trim() || question.length > CHAT_MAX_QUESTION_CHARS) {
+      return res.status(400).json({ error: `question is required (at most ${CHAT_MAX_QUESTION_CHARS} characters)` });
+    }
+    if (model !== null && (typeof model !== 'string' || !model.trim())) {
+      return res.status(400).json({ error: 'model must be a model name' });
+    }
+    
+    const passages = buildPassages(entry, CHAT_PASSAGE_CHARS);
+    if (passages.length === 0) {
+      return res.status(400).json({ error: 'This summary has no transcript to ask about' });
+    }
+    
+    const history = chats.get(entry.id);
+    // Follow-ups ("and the second one?") are matched together with the previous question
+    const previousQuestion = history.filter(message => message.role === 'user').at(-1)?.content || '';
+    const contextChars = entry.language === 'he' ? SUMMARY_CHUNK_SIZE_HE : SUMMARY_CHUNK_SIZE;
+    const selected = selectPassages(passages, `${question} ${previousQuestion}`, contextChars);
+    
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
     });
-    res.end();
+    startEventStream(res);
+    
+    const messages = buildChatMessages({
+      entry,
+      passages: selected,
+      allPassages: passages.length,
+      history,
+      question: question.trim(),
+      languageName: languageNames[entry.language] || 'English'
+    });
+    const answer = (await llm.chat(messages, {
+      model: model?.trim() || llm.model,
+      signal: controller.signal,
+      onToken: (delta) => send({ stage: 'answer', status: 'processing', delta })
+    })).trim();
+    
+    const citations = findCitations(answer, selected);
+    const passagesUsed = { used: selected.length, total: passages.length };
+    const conversation = chats.append(entry.id, [
+      { role: 'user', content: question.trim(), createdAt: new Date().toISOString() },
+      { role: 'assistant', content: answer, citations, passages: passagesUsed, createdAt: new Date().toISOString() }
+    ]);
+    send({ stage: 'complete', status: 'success', answer, citations, passages: passagesUsed, messages: conversation });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error(`Chat about ${req.params.id} failed:`, error.message);
+    // Errors before the event stream started get a plain JSON response
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    send({ stage: 'error', status: 'error', error: error.message });
+  }
+  res.end();
+});
+
+// Start the conversation over
+app.delete('/api/summaries/:id/chat', (req, res) => {
+  if (!library.get(req.params.id)) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  chats.clear(req.params.id);
+  res.json({ summaryId: req.params.id, cleared: true });
+});
+
+// The transcript translations stored for a summary
+app.get('/api/summaries/:id/translations', (req, res) => {
+  const entry = library.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  const translations = Object.entries(entry.translations || {})
+    .map(([language, { file, ...details }]) => ({ language, ...details }));
+  res.json({ summaryId: entry.id, translations });
+});
+
+// One stored translation with its timed segments
+app.get('/api/summaries/:id/translations/:language', (req, res) => {
+  if (!library.get(req.params.id)) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  const translation = isValidLanguageCode(req.params.language) && library.getTranslation(req.params.id, req.params.language);
+  if (!translation) {
+    return res.status(404).json({ error: 'Translation not found' });
+  }
+  res.json({ summaryId: req.params.id, ...translation });
+});
+
+// Queue a translation of a summary's whole transcript. Body: { language, model?, refresh? }
+// Responds like POST /api/jobs; progress is read from /api/jobs/:id/events.
+app.post('/api/summaries/:id/translations', (req, res) => {
+  const entry = library.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+  
+  const { language, model = null, refresh = false } = req.body || {};
+  if (!isValidLanguageCode(language)) {
+    return res.status(400).json({ error: 'language must be a language code such as "en" or "he"' });
+  }
+  if (language === entry.sourceLanguage) {
+    return res.status(400).json({ error: `The transcript is already in ${languageNames[language] || language}` });
+  }
+  if (model !== null && (typeof model !== 'string' || !model.trim())) {
+    return res.status(400).json({ error: 'model must be a model name' });
+  }
+  
+  const params = { summaryId: entry.id, language, model: model?.trim() || null, refresh: parseBoolean(refresh) };
+  const job = createJob('translate', params, ({ emit, signal }) => runTranslation(params, emit, signal));
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+// Semantic search across every transcript: the passages closest in meaning to `q`, best first.
+// Query: q, limit (default 10, max 50)
+app.get('/api/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  
+  let matches;
+  try {
+    matches = await searchIndex.search(q, { limit });
+  } catch (error) {
+    return res.status(503).json({ error: `Semantic search is unavailable: ${error.message}` });
+  }
+  
+  const results = matches
+    .map(match => {
+      const entry = library.get(match.summaryId);
+      if (!entry) return null;
+      const timed = match.start !== null;
+      return {
+        summaryId: entry.id,
+        title: entry.title || entry.videoId || entry.fileName || entry.sourceUrl || null,
+        videoId: entry.videoId || null,
+        sourceId: entry.sourceId || entry.videoId || null,
+        sourceUrl: entry.youtubeUrl || entry.sourceUrl || null,
+        fileName: entry.fileName || null,
+        language: entry.language,
+        start: match.start,
+        end: match.end,
+        timestamp: timed ? formatDuration(match.start) : null,
+        // YouTube links jump to the passage
+        url: entry.youtubeUrl && timed ? `${entry.youtubeUrl}&t=${Math.floor(match.start)}s` : entry.youtubeUrl || entry.sourceUrl || null,
+        snippet: match.text.length > SEARCH_SNIPPET_CHARS ? `${match.text.slice(0, SEARCH_SNIPPET_CHARS).trimEnd()}...` : match.text,
+        score: Math.round(match.score * 1000) / 1000
+      };
+    })
+    .filter(Boolean);
+  
+  res.json({
+    query: q,
+    model: searchIndex.model,
+    indexed: searchIndex.ids().length,
+    total: library.search({ limit: 0 }).total,
+    results
+  });
+});
+
+// Prompt templates (summaryMode "standard" only; pass the ID as `template` when summarizing)
+app.get('/api/templates', (req, res) => {
+  res.json({ placeholders: TEMPLATE_PLACEHOLDERS, templates: templates.list() });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = templates.get(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json(template);
+});
+
+app.post('/api/templates', (req, res) => {
+  const fields = validateTemplate(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const id = req.body.id ?? templateIdFromName(fields.name);
+  if (!isValidTemplateId(id)) {
+    return res.status(400).json({ error: 'id must be lowercase letters, digits and dashes (at most 64 characters)' });
+  }
+
+  const template = templates.create(id, fields);
+  if (!template) {
+    return res.status(409).json({ error: `Template "${id}" already exists` });
+  }
+  res.status(201).json(template);
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  const fields = validateTemplate(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const template = templates.update(req.params.id, fields);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
   }
+  res.json(template);
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
+app.delete('/api/templates/:id', (req, res) => {
+  if (!templates.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// Models that can be picked per request: the LLM provider's models and the ggml Whisper models on disk.
+// An unreachable LLM server is reported in summary.error rather than failing the whole request.
+app.get('/api/models', async (req, res) => {
+  let summaryModels = [];
+  let summaryError = null;
+  try {
+    summaryModels = await llm.listModels();
+  } catch (error) {
+    summaryError = error.message;
+  }
+  
+  res.json({
+    summary: {
+      provider: llm.name,
+      default: llm.model,
+      models: summaryModels,
+      error: summaryError
+    },
+    whisper: {
+      default: DEFAULT_WHISPER_MODEL,
+      models: listWhisperModels(),
+      searchPaths: getWhisperModelDirs()
+    }
+  });
+});
+
+// Can the LLM server be reached, and does it have the configured model?
+async function checkLlm() {
+  let models;
+  try {
+    models = await llm.listModels();
+  } catch (error) {
+    return {
+      llm: { status: 'error', required: true, provider: llm.name, baseUrl: llm.baseUrl, message: error.message,
+        hint: llm.name === 'ollama' ? 'Start Ollama with: ollama serve' : `Start the ${llm.label} and check LLM_BASE_URL` },
+      llmModel: { status: 'error', required: true, model: llm.model, message: `Can't check model "${llm.model}" - ${llm.label} is unreachable` }
+    };
+  }
+  
+  // Ollama accepts "qwen2.5" for "qwen2.5:latest"; llama-server serves whatever model it was started with
+  const names = models.map(m => m.name);
+  const modelFound = llm.name === 'llamacpp' ||
+    names.includes(llm.model) ||
+    (!llm.model.includes(':') && names.includes(`${llm.model}:latest`));
+  
+  return {
+    llm: { status: 'ok', required: true, provider: llm.name, baseUrl: llm.baseUrl, message: `${llm.label} is reachable at ${llm.baseUrl}` },
+    llmModel: modelFound
+      ? { status: 'ok', required: true, model: llm.model, message: `Model "${llm.model}" is available` }
+      : {
+        status: 'error',
+        required: true,
+        model: llm.model,
+        message: `Model "${llm.model}" is not available${names.length ? ` (found: ${names.join(', ')})` : ''}`,
+        hint: llm.name === 'ollama' ? `Install with: ollama pull ${llm.model}` : 'Load the model on the server or change LLM_MODEL'
+      }
+  };
+}
+
+function checkWhisperModel() {
+  const modelPath = findWhisperModel(DEFAULT_WHISPER_MODEL);
+  if (modelPath) {
+    return { status: 'ok', required: false, model: DEFAULT_WHISPER_MODEL, path: modelPath, message: `Whisper model found at ${modelPath}` };
+  }
+  return {
+    status: 'error',
+    required: false,
+    model: DEFAULT_WHISPER_MODEL,
+    path: null,
+    message: `Whisper model ggml-${DEFAULT_WHISPER_MODEL}.bin not found`,
+    hint: `Download ggml-${DEFAULT_WHISPER_MODEL}.bin from https://huggingface.co/ggerganov/whisper.cpp/tree/main into ${getWhisperModelDirs()[0]} (or set WHISPER_MODEL_DIR)`
+  };
+}
+
+// Health check: probes every external dependency.
+// Required components (yt-dlp, the LLM and its model) make the status 'error' when missing;
+// the audio transcription tools (ffmpeg, whisper-cli, Whisper model) only make it 'degraded',
+// since videos with YouTube transcripts still work without them.
+app.get('/api/health', async (req, res) => {
+  const [ytDlp, ffmpeg, whisperCli, llmComponents] = await Promise.all([
+    checkCommand('yt-dlp', ['--version'], output => output.trim().split(/\s+/)[0] || null),
+    checkCommand('ffmpeg', ['-version'], output => output.match(/ffmpeg version (\S+)/)?.[1] || null),
+    checkCommand('whisper-cli', ['--help'], output => output.match(/version[:\s]+v?(\d[\w.-]*)/i)?.[1] || null),
+    checkLlm()
+  ]);
+  
+  const components = {
+    ytDlp: { ...ytDlp, required: true },
+    ffmpeg: { ...ffmpeg, required: false },
+    whisperCli: { ...whisperCli, required: false },
+    ...llmComponents,
+    whisperModel: checkWhisperModel()
+  };
+  const failing = Object.values(components).filter(component => component.status !== 'ok');
+  const status = failing.some(component => component.required) ? 'error' : failing.length > 0 ? 'degraded' : 'ok';
+  
+  res.status(status === 'error' ? 503 : 200).json({
+    status,
+    message: status === 'ok'
+      ? 'Server is running and all dependencies are available'
+      : `${failing.length} dependenc${failing.length === 1 ? 'y' : 'ies'} missing or unavailable`,
+    components
+  });
 });
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`Ollama URL: ${OLLAMA_BASE_URL}`);
-  console.log(`Ollama Model (Summarization): ${OLLAMA_MODEL}`);
+  console.log(`LLM provider: ${llm.label} (${llm.baseUrl})`);
+  console.log(`LLM model (Summarization): ${llm.model}`);
   console.log(`Transcription: Using local Whisper (Python package)`);
-  console.log(`Summarization: Using local Ollama - no API keys needed!`);
 });
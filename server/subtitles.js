@@ -0,0 +1,247 @@
+// Subtitle parsing: VTT and SRT (yt-dlp downloads, whisper.cpp output and uploaded files),
+// plus YouTube's JSON3 and TTML caption formats for uploads.
+
+// Transcript segment model shared by every transcript source: { start, end, text } with times in seconds
+
+// Parse a subtitle timestamp (HH:MM:SS.mmm, HH:MM:SS,mmm or MM:SS.mmm) into seconds
+export function parseTimestamp(timestamp) {
+  const match = timestamp.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis = '0'] = match;
+  return parseInt(hours, 10) * 3600 +
+         parseInt(minutes, 10) * 60 +
+         parseInt(seconds, 10) +
+         parseInt(millis.padEnd(3, '0'), 10) / 1000;
+}
+
+// Match a cue timing line ("00:00:01.000 --> 00:00:04.000 align:start position:0%")
+const cueTimingPattern = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// Parse cue blocks shared by VTT and SRT files into segments
+function parseCues(content) {
+  const segments = [];
+  let current = null;
+  
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    
+    const timing = trimmed.match(cueTimingPattern);
+    if (timing) {
+      current = { start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), lines: [] };
+      segments.push(current);
+      continue;
+    }
+    
+    // Blank line ends the cue; text outside a cue (headers, NOTE/STYLE blocks) is ignored
+    if (!trimmed) {
+      current = null;
+      continue;
+    }
+    
+    if (current) {
+      // Remove tags like <c>, <i>, <00:00:01.000>, etc.
+      const cleaned = trimmed.replace(/<[^>]+>/g, '').trim();
+      if (cleaned) {
+        current.lines.push(cleaned);
+      }
+    }
+  }
+  
+  return segments;
+}
+
+// Parse VTT subtitle file into transcript segments
+export function vttToSegments(vtt) {
+  try {
+    const segments = [];
+    let prevLine = null;
+    
+    for (const cue of parseCues(vtt)) {
+      // YouTube auto-captions repeat the previous line at the top of each cue (rolling captions),
+      // so drop lines equal to the previously emitted one (de-dupe consecutive duplicates)
+      const lines = cue.lines.filter(line => {
+        const isDuplicate = line === prevLine;
+        prevLine = line;
+        return !isDuplicate;
+      });
+      if (lines.length === 0) continue;
+      
+      segments.push({ start: cue.start, end: cue.end, text: lines.join('\n') });
+    }
+    
+    return segments;
+  } catch (error) {
+    console.error('Error parsing VTT file:', error.message);
+    return null;
+  }
+}
+
+// Parse VTT subtitle file and extract plain text transcript (following Python implementation)
+export function vttToText(vtt) {
+  const segments = vttToSegments(vtt);
+  return segments ? segmentsToText(segments, '\n') : null;
+}
+
+// Parse SRT subtitle file into transcript segments
+export function parseSrtToSegments(srtContent) {
+  try {
+    // SRT format: sequence number, timestamp, text, blank line
+    // Sequence numbers precede the timing line, so parseCues never sees them as cue text
+    return parseCues(srtContent)
+      .filter(cue => cue.lines.length > 0)
+      .map(cue => ({ start: cue.start, end: cue.end, text: cue.lines.join(' ') }));
+  } catch (error) {
+    console.error('Error parsing SRT file:', error.message);
+    return null;
+  }
+}
+
+// Parse SRT subtitle file and extract plain text transcript
+export function parseSrtToText(srtContent) {
+  const segments = parseSrtToSegments(srtContent);
+  return segments ? segmentsToText(segments, ' ') : null;
+}
+
+// Join segment texts into a plain transcript
+export function segmentsToText(segments, separator = '\n') {
+  return segments
+    .map(segment => segment.text.trim())
+    .filter(text => text.length > 0)
+    .join(separator)
+    .trim();
+}
+
+// Parse YouTube's JSON3 captions ({ events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }) into segments
+export function json3ToSegments(content) {
+  try {
+    const { events = [] } = JSON.parse(content);
+    return events
+      .filter(event => Array.isArray(event.segs) && typeof event.tStartMs === 'number')
+      .map(event => ({
+        start: event.tStartMs / 1000,
+        end: typeof event.dDurationMs === 'number' ? (event.tStartMs + event.dDurationMs) / 1000 : null,
+        text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+      }))
+      // Auto-captions add events holding only a line break between rolling lines
+      .filter(segment => segment.text.length > 0);
+  } catch (error) {
+    console.error('Error parsing JSON3 captions:', error.message);
+    return null;
+  }
+}
+
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return xmlEntities[name.toLowerCase()] ?? entity;
+  });
+}
+
+// TTML time expressions: clock time ("00:01:02.500", "00:01:02:12" with frames) or offsets ("62.5s", "1500ms", "300t")
+function parseTtmlTime(value, tickRate) {
+  if (!value) return null;
+  const offset = value.trim().match(/^([\d.]+)(h|m|s|ms|t)$/);
+  if (offset) {
+    const amount = parseFloat(offset[1]);
+    const unitSeconds = { h: 3600, m: 60, s: 1, ms: 0.001, t: 1 / tickRate };
+    return amount * unitSeconds[offset[2]];
+  }
+  const clock = value.trim().match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:\d+)?$/);
+  if (!clock) return null;
+  return parseInt(clock[1], 10) * 3600 + parseInt(clock[2], 10) * 60 + parseInt(clock[3], 10) + parseFloat(`0.${clock[4] || 0}`);
+}
+
+// Parse TTML/DFXP captions (<p begin="..." end="...">) into segments
+export function ttmlToSegments(content) {
+  try {
+    const tickRate = parseInt(content.match(/ttp:tickRate="(\d+)"/)?.[1], 10) || 1;
+    const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+    const segments = [];
+
+    for (const [, attributes, body] of content.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+      const start = parseTtmlTime(attribute(attributes, 'begin'), tickRate);
+      const duration = parseTtmlTime(attribute(attributes, 'dur'), tickRate);
+      const end = parseTtmlTime(attribute(attributes, 'end'), tickRate) ?? (start !== null && duration !== null ? start + duration : null);
+      const text = decodeXmlEntities(body.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]+>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (text) {
+        segments.push({ start, end, text });
+      }
+    }
+    return segments;
+  } catch (error) {
+    console.error('Error parsing TTML captions:', error.message);
+    return null;
+  }
+}
+
+// Subtitle file extensions accepted for upload, by format
+export const SUBTITLE_FORMATS = {
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.json3': 'json3',
+  '.json': 'json3',
+  '.ttml': 'ttml',
+  '.dfxp': 'ttml',
+  '.xml': 'ttml'
+};
+
+// Parse an uploaded subtitle file into segments, picking the parser from the file extension.
+// Returns null if the format is unknown or the file holds no cues.
+export function parseSubtitleFile(content, extension) {
+  const text = content.replace(/^\uFEFF/, ''); // Byte order mark
+  const parsers = { srt: parseSrtToSegments, vtt: vttToSegments, json3: json3ToSegments, ttml: ttmlToSegments };
+  const parse = parsers[SUBTITLE_FORMATS[extension.toLowerCase()]];
+  const segments = parse ? parse(text) : null;
+  return segments?.length > 0 ? segments : null;
+}
+
+// Format seconds as H:MM:SS (or M:SS for videos under an hour), for display
+export function formatDuration(totalSeconds) {
+  const seconds = Math.floor(totalSeconds % 60);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const hours = Math.floor(totalSeconds / 3600);
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+// Format seconds as a cue timestamp: HH:MM:SS.mmm (VTT) or HH:MM:SS,mmm (SRT)
+export function formatTimestamp(totalSeconds, separator = '.') {
+  const totalMillis = Math.max(0, Math.round(totalSeconds * 1000));
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor(totalMillis / 60000) % 60;
+  const seconds = Math.floor(totalMillis / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMillis % 1000, 3)}`;
+}
+
+// Cue text can't hold blank lines (they end the cue) or "-->" (it starts a timing line)
+function cueText(text) {
+  return text.trim().replace(/\n\s*\n/g, '\n').replace(/-->/g, '->');
+}
+
+// Write segments as an SRT file
+export function segmentsToSrt(segments) {
+  return segments
+    .filter(segment => segment.text.trim())
+    .map((segment, i) => `${i + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(Math.max(segment.end, segment.start), ',')}\n${cueText(segment.text)}\n`)
+    .join('\n');
+}
+
+// Write segments as a WebVTT file. notes: texts for NOTE blocks before the first cue (title, summary...)
+export function segmentsToVtt(segments, notes = []) {
+  const blocks = [
+    'WEBVTT',
+    ...notes.filter(Boolean).map(note => `NOTE\n${cueText(note)}`),
+    ...segments
+      .filter(segment => segment.text.trim())
+      .map(segment => `${formatTimestamp(segment.start)} --> ${formatTimestamp(Math.max(segment.end, segment.start))}\n${cueText(segment.text)}`)
+  ];
+  return `${blocks.join('\n\n')}\n`;
+}
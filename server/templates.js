@@ -0,0 +1,184 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { hashKey } from './cache.js';
+
+// Prompt templates: one JSON file per template in data/templates/ ({ id, name, description, prompt }).
+// A prompt is the full text sent to the model, with {{transcript}}, {{language}} and {{title}} filled in per run.
+// The built-in templates below are written to the directory the first time it is created, so they can be
+// edited or deleted like any other.
+
+export const TEMPLATE_PLACEHOLDERS = ['transcript', 'language', 'title'];
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'tldr',
+    name: 'TL;DR (3 bullets)',
+    description: 'The three most important points, one line each',
+    prompt: `Summarize the following transcript of "{{title}}" as exactly three bullet points in {{language}}.
+Each bullet is one sentence with one key point. Order them by importance. Write nothing before or after the bullets.
+
+Transcript:
+{{transcript}}
+
+Three bullet points in {{language}}:`
+  },
+  {
+    id: 'study-guide',
+    name: 'Study guide',
+    description: 'Key concepts, definitions, explanations and review questions',
+    prompt: `Turn the following transcript of "{{title}}" into a detailed study guide in {{language}}.
+Use these sections:
+1. Overview - two or three sentences on what is covered
+2. Key concepts - each concept with a short explanation, in the order they are taught
+3. Definitions - important terms and what they mean
+4. Examples - the examples used and what each one shows
+5. Review questions - five questions that test understanding, with short answers
+Write entirely in {{language}}.
+
+Transcript:
+{{transcript}}
+
+Study guide in {{language}}:`
+  },
+  {
+    id: 'executive-brief',
+    name: 'Executive brief',
+    description: 'Bottom line first, then key points, implications and recommendations',
+    prompt: `Write an executive brief in {{language}} of the following transcript of "{{title}}" for a busy reader.
+Start with a one-sentence bottom line. Then give the key points (at most five bullets), the implications or risks,
+and any recommendations or decisions it calls for. Keep it under 250 words. Write entirely in {{language}}.
+
+Transcript:
+{{transcript}}
+
+Executive brief in {{language}}:`
+  },
+  {
+    id: 'action-items',
+    name: 'Meeting notes & action items',
+    description: 'Decisions, action items with owners and deadlines, open questions',
+    prompt: `The following is a transcript of "{{title}}". Write meeting notes in {{language}} with these sections:
+- Summary - a short paragraph on what was discussed
+- Decisions - what was agreed
+- Action items - one per line as "Owner: task (deadline)"; write "Unassigned" or "No deadline" when the transcript doesn't say
+- Open questions - anything left unresolved
+Only include what the transcript actually says. Write entirely in {{language}}.
+
+Transcript:
+{{transcript}}
+
+Meeting notes in {{language}}:`
+  }
+];
+
+// Validate a template from a request body. Returns { error } or the normalized { name, description, prompt }.
+export function validateTemplate({ name, description = '', prompt } = {}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return { error: 'name is required (at most 100 characters)' };
+  }
+  if (typeof description !== 'string' || description.length > 500) {
+    return { error: 'description must be text (at most 500 characters)' };
+  }
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return { error: 'prompt is required' };
+  }
+
+  const placeholders = [...prompt.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  const unknown = placeholders.find(placeholder => !TEMPLATE_PLACEHOLDERS.includes(placeholder));
+  if (unknown) {
+    return { error: `Unknown placeholder {{${unknown}}} - use ${TEMPLATE_PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')}` };
+  }
+  if (!placeholders.includes('transcript')) {
+    return { error: 'prompt must contain {{transcript}}' };
+  }
+
+  return { name: name.trim(), description: description.trim(), prompt: prompt.trim() };
+}
+
+export function isValidTemplateId(id) {
+  return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id);
+}
+
+// Template ID from its name ("Study Guide!" → "study-guide"). Names without Latin letters or digits
+// (e.g. Hebrew) get an ID from a hash of the name ("סיכום קצר" → "template-1a2b3c4d").
+export function templateIdFromName(name) {
+  const slug = name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64)
+    .replace(/-+$/, '');
+  return slug || `template-${hashKey(name.trim()).slice(0, 8)}`;
+}
+
+// Fill in a prompt's placeholders. values: { transcript, language, title }
+export function renderTemplate(prompt, values) {
+  return prompt.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.hasOwn(values, name) ? String(values[name] ?? '') : placeholder
+  ));
+}
+
+export function createTemplateStore(templatesDir) {
+  if (!fs.existsSync(templatesDir)) {
+    fs.ensureDirSync(templatesDir);
+    for (const template of BUILT_IN_TEMPLATES) {
+      fs.writeJsonSync(path.join(templatesDir, `${template.id}.json`), template, { spaces: 2 });
+    }
+  }
+
+  const templatePath = (id) => path.join(templatesDir, `${id}.json`);
+
+  const read = (id) => {
+    if (!isValidTemplateId(id) || !fs.existsSync(templatePath(id))) return null;
+    try {
+      const template = fs.readJsonSync(templatePath(id));
+      // Hand-edited files may be missing fields the rest of the app relies on
+      if (typeof template?.name !== 'string' || typeof template.prompt !== 'string') {
+        throw new Error('name and prompt must be text');
+      }
+      return { ...template, id };
+    } catch (error) {
+      console.warn(`Ignoring unreadable template ${templatePath(id)}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const write = (template) => {
+    fs.writeJsonSync(templatePath(template.id), template, { spaces: 2 });
+    return template;
+  };
+
+  return {
+    // All templates, sorted by name
+    list() {
+      return fs.readdirSync(templatesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => read(path.basename(file, '.json')))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    get(id) {
+      return read(id);
+    },
+
+    // Create a template from validated fields. Returns null if the ID is taken.
+    create(id, fields) {
+      if (read(id)) return null;
+      const now = new Date().toISOString();
+      return write({ id, ...fields, createdAt: now, updatedAt: now });
+    },
+
+    // Replace a template's fields. Returns null if it doesn't exist.
+    update(id, fields) {
+      const existing = read(id);
+      if (!existing) return null;
+      return write({ ...existing, ...fields, id, updatedAt: new Date().toISOString() });
+    },
+
+    remove(id) {
+      if (!read(id)) return false;
+      fs.removeSync(templatePath(id));
+      return true;
+    }
+  };
+}
@@ -0,0 +1,176 @@
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { existsSync, readFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import {
+  canonicalYouTubeUrl,
+  extractVideoId,
+  ffmpegToWavArgs,
+  isValidLanguageCode,
+  normalizeSourceUrl,
+  runCommand,
+  whisperArgs,
+  ytDlpAudioArgs,
+  ytDlpMetadataArgs,
+  ytDlpPlaylistArgs,
+  ytDlpSubtitleArgs
+} from './commands.js';
+
+// Feeds hostile URLs, language codes and file names through the same helpers the server uses
+// and checks that nothing in them can reach a shell or be read as a command-line option.
+// Run with: node test-command-injection.js (needs no yt-dlp, ffmpeg or whisper-cli)
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const marker = join(tmpdir(), `summarize-youtube-injection-${process.pid}`);
+const videoId = 'IY2ZfZpmSfI';
+
+const hostileUrls = [
+  `https://www.youtube.com/watch?v=${videoId}"; touch ${marker}; echo "`,
+  `https://www.youtube.com/watch?v=${videoId}$(touch ${marker})`,
+  `https://www.youtube.com/watch?v=${videoId}\`touch ${marker}\``,
+  `https://www.youtube.com/watch?v=${videoId} | touch ${marker}`,
+  `https://www.youtube.com/watch?v=${videoId}&x=' && touch ${marker} #`,
+  `https://youtu.be/${videoId}\ntouch ${marker}`,
+  `https://www.youtube.com/watch?v=${videoId} --exec "touch ${marker}"`
+];
+
+const notYouTube = [
+  `--exec=touch ${marker}`,
+  `$(touch ${marker})`,
+  `; touch ${marker}`,
+  'https://www.youtube.com/watch?v=abc;rm -rf',
+  `https://www.youtube.com/watch?v=${videoId}x`,
+  'https://example.com/watch',
+  '',
+  null,
+  { toString: () => videoId }
+];
+
+// Other sites yt-dlp supports: must stay http(s) URLs with nothing that could become an option or a second argument
+const notSourceUrls = [
+  `--exec=touch ${marker}`,
+  `-o/etc/passwd`,
+  'file:///etc/passwd',
+  'ftp://example.com/video.mp4',
+  `https://vimeo.com/1 --exec touch ${marker}`,
+  `https://vimeo.com/1\n--exec=touch ${marker}`,
+  'https://',
+  '',
+  null
+];
+
+const hostileLanguages = ['en; touch x', 'en$(id)', '"en"', 'en`id`', '--exec', 'en --exec id', 'EN', 'e', ''];
+
+let failures = 0;
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => console.log(`✓ ${name}`))
+    .catch(error => {
+      failures++;
+      console.error(`✗ ${name}\n  ${error.message}`);
+    });
+}
+
+// Run `args` through the real runCommand with node as the child and return the argv it received
+async function echoArgs(args) {
+  const { stdout } = await runCommand(process.execPath, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', '--', ...args]);
+  return JSON.parse(stdout);
+}
+
+await test('hostile URLs reduce to the bare video ID', () => {
+  for (const url of hostileUrls) {
+    assert.equal(extractVideoId(url), videoId, url);
+  }
+});
+
+await test('non-YouTube input is rejected', () => {
+  for (const input of notYouTube) {
+    assert.equal(extractVideoId(input), null, String(input));
+  }
+});
+
+await test('canonical URL is rebuilt from the ID only', () => {
+  assert.equal(canonicalYouTubeUrl(videoId), `https://www.youtube.com/watch?v=${videoId}`);
+  for (const input of [`${videoId};`, '$(touch x)', '--exec=id', '', undefined]) {
+    assert.throws(() => canonicalYouTubeUrl(input), /Invalid YouTube video ID/);
+  }
+});
+
+await test('other sites\' URLs must be plain http(s) URLs', () => {
+  for (const input of notSourceUrls) {
+    assert.equal(normalizeSourceUrl(input), null, String(input));
+  }
+  assert.equal(normalizeSourceUrl('https://vimeo.com/76979871'), 'https://vimeo.com/76979871');
+  assert.equal(normalizeSourceUrl(' https://Example.com/a b'), null);
+  assert.equal(normalizeSourceUrl('https://Example.com/ep;1$(x)'), 'https://example.com/ep;1$(x)');
+});
+
+await test('yt-dlp builders refuse URLs that were not normalized', () => {
+  for (const url of [videoId, `--exec=touch ${marker}`, 'file:///etc/passwd', 'https://Example.com/']) {
+    assert.throws(() => ytDlpMetadataArgs(url), /Invalid source URL/, url);
+    assert.throws(() => ytDlpAudioArgs(url, '/tmp/out'), /Invalid source URL/, url);
+    assert.throws(() => ytDlpPlaylistArgs(url, 10), /Invalid source URL/, url);
+  }
+  for (const limit of [0, -1, 1.5, '10; touch x', '--exec']) {
+    assert.throws(() => ytDlpPlaylistArgs('https://www.youtube.com/@chan', limit), /Invalid playlist limit/, String(limit));
+  }
+});
+
+await test('hostile language codes are rejected', () => {
+  for (const language of hostileLanguages) {
+    assert.equal(isValidLanguageCode(language), false, language);
+  }
+  for (const language of ['en', 'he', 'pt-BR', 'zh-Hans']) {
+    assert.equal(isValidLanguageCode(language), true, language);
+  }
+});
+
+await test('yt-dlp gets the URL after "--" so it cannot be read as an option', () => {
+  for (const url of [canonicalYouTubeUrl(videoId), 'https://vimeo.com/76979871']) {
+    for (const args of [
+      ytDlpSubtitleArgs(url, 'iw', 'srt', '/tmp/out.%(ext)s'),
+      ytDlpMetadataArgs(url),
+      ytDlpPlaylistArgs(url, 10),
+      ytDlpAudioArgs(url, '/tmp/out')
+    ]) {
+      assert.deepEqual(args.slice(-2), ['--', url]);
+    }
+  }
+});
+
+await test('arguments reach the child process unchanged and are never run by a shell', async () => {
+  const hostilePath = join(tmpdir(), `a b"; touch ${marker}; $(touch ${marker}) \`touch ${marker}\`.m4a`);
+  const hostileSourceUrl = normalizeSourceUrl(`https://example.com/ep';touch\${IFS}${marker};$(touch\${IFS}${marker})`);
+  assert.ok(hostileSourceUrl);
+  const argLists = [
+    ytDlpSubtitleArgs(canonicalYouTubeUrl(videoId), 'iw', 'srt', `${hostilePath}.%(ext)s`),
+    ytDlpAudioArgs(canonicalYouTubeUrl(videoId), hostilePath),
+    ytDlpMetadataArgs(hostileSourceUrl),
+    ffmpegToWavArgs(hostilePath, `${hostilePath}.wav`),
+    whisperArgs('/models/ggml-base.bin', hostilePath, hostilePath, 'en'),
+    [...hostileUrls, ...hostileLanguages]
+  ];
+
+  for (const args of argLists) {
+    assert.deepEqual(await echoArgs(args), args);
+  }
+  assert.equal(existsSync(marker), false, `${marker} was created`);
+});
+
+await test('server code never starts a shell', () => {
+  for (const file of ['server.js', 'dependencies.js', 'commands.js', 'test-ytdlp-transcript.js']) {
+    const source = readFileSync(join(__dirname, file), 'utf-8');
+    assert.doesNotMatch(source, /\bexec(Sync)?\b\s*[,}]|shell:\s*true/, file);
+  }
+});
+
+rmSync(marker, { force: true });
+
+if (failures > 0) {
+  console.error(`\n${failures} test(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll command injection tests passed');
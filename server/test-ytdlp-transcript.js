@@ -1,10 +1,8 @@
 import { fileURLToPath } from 'url';
 import { readFileSync, readdirSync, existsSync } from 'fs';
 import { join, dirname, basename } from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { canonicalYouTubeUrl, extractVideoId, formatCommand, runCommand, ytDlpSubtitleArgs } from './commands.js';
 
-const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const tmpDir = join(__dirname, 'tmp');
@@ -38,12 +36,6 @@ function parseSrtToText(srtContent) {
   }
 }
 
-// Extract video ID
-function extractVideoId(url) {
-  const match = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
-  return match ? match[1] : null;
-}
-
 async function testYtDlpTranscript(videoIdOrUrl, language = 'en') {
   const videoId = extractVideoId(videoIdOrUrl);
   if (!videoId) {
@@ -53,14 +45,14 @@ async function testYtDlpTranscript(videoIdOrUrl, language = 'en') {
   
   const youtubeLang = youtubeLangMap[language] || language;
   const outputPath = join(tmpDir, `test-subtitle-${Date.now()}`);
-  const command = `yt-dlp --skip-download --write-subs --sub-langs "${youtubeLang}" --sub-format "srt" --output "${outputPath}.%(ext)s" "${videoIdOrUrl}"`;
+  const args = ytDlpSubtitleArgs(canonicalYouTubeUrl(videoId), youtubeLang, 'srt', `${outputPath}.%(ext)s`);
   
   console.log(`\nTesting yt-dlp transcript fetch for: ${videoId}`);
   console.log(`Language: ${youtubeLang} (original: ${language})`);
-  console.log(`Command: ${command}\n`);
+  console.log(`Command: ${formatCommand('yt-dlp', args)}\n`);
   
   try {
-    const { stdout, stderr } = await execAsync(command, {
+    const { stdout, stderr } = await runCommand('yt-dlp', args, {
       maxBuffer: 10 * 1024 * 1024,
       timeout: 60000
     });
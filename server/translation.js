@@ -0,0 +1,128 @@
+// Full transcript translation (POST /api/summaries/:id/translations). The transcript's lines are sent to the
+// LLM in numbered batches and translated line for line, so every translated line keeps its segment's timing
+// and the translation can be exported as subtitles. Lines the model skips are asked for once more, then kept
+// in the original language.
+
+// "[12] text" lines of a translation answer
+const NUMBERED_LINE_PATTERN = /^\s*\[(\d+)\]\s*(.*)$/;
+
+// The lines to translate: [{ start, end, text }]. Transcripts with segments keep their timing (null for segments
+// without a start time); older ones without segments are split on line breaks (or on sentences) and have no times.
+export function transcriptLines(entry) {
+  if (entry.segments?.length > 0) {
+    return entry.segments
+      .map(({ start, end, text }) => (Number.isFinite(start)
+        ? { start, end: Number.isFinite(end) ? end : start, text: text.trim() }
+        : { start: null, end: null, text: text.trim() }))
+      .filter(line => line.text);
+  }
+
+  const transcript = entry.transcript || '';
+  const pieces = transcript.includes('\n')
+    ? transcript.split(/\n+/)
+    : transcript.split(/(?<=[.!?])\s+/);
+  return pieces.map(piece => piece.trim()).filter(Boolean).map(text => ({ start: null, end: null, text }));
+}
+
+// Group lines into batches of about maxChars (a longer line gets a batch of its own): [[index, ...], ...]
+export function buildTranslationBatches(lines, maxChars) {
+  const batches = [];
+  let current = [];
+  let length = 0;
+  lines.forEach((line, index) => {
+    if (current.length > 0 && length + line.text.length > maxChars) {
+      batches.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(index);
+    length += line.text.length + 1;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// Prompt for one batch. texts are numbered from 1; sourceName is null when the transcript's language is unknown.
+export function buildTranslationPrompt(texts, { sourceName, targetName, targetLanguage }) {
+  const numbered = texts.map((text, i) => `[${i + 1}] ${text}`).join('\n');
+
+  if (targetLanguage === 'he') {
+    return `אתה מתרגם מקצועי. תרגם לעברית את השורות הממוספרות הבאות מתוך תמלול של סרטון${sourceName ? ` (השפה המקורית: ${sourceName})` : ''}.
+שמור על המספור: ענה בשורה אחת בדיוק לכל שורה, בפורמט "[מספר] תרגום", באותו סדר, ובלי שום דבר נוסף.
+אל תאחד, תפצל, תסכם או תדלג על שורות. שמור על שמות, מספרים ומונחים מקצועיים.
+
+חשוב מאוד: כתוב את התרגום בעברית בלבד.
+
+השורות:
+${numbered}
+
+התרגום לעברית:`;
+  }
+
+  return `Translate the following numbered lines of a video transcript ${sourceName ? `from ${sourceName} ` : ''}into ${targetName}.
+Keep the numbering: answer with exactly one line per input line, in the form "[number] translation", in the same order, and nothing else.
+Do not merge, split, summarize or skip lines. Keep names, numbers and technical terms.
+
+Lines:
+${numbered}
+
+Translation into ${targetName}:`;
+}
+
+// Translated texts by line number (1-based) from a model answer: Map<number, text>
+export function parseTranslation(response, count) {
+  const translations = new Map();
+  for (const line of response.split('\n')) {
+    const match = line.match(NUMBERED_LINE_PATTERN);
+    if (!match) continue;
+    const number = Number(match[1]);
+    const text = match[2].trim();
+    if (number >= 1 && number <= count && text && !translations.has(number)) {
+      translations.set(number, text);
+    }
+  }
+  return translations;
+}
+
+// Translate transcript lines ([{ start, end, text }]) with an LLM provider from llm.js.
+// options: { sourceName, targetName, targetLanguage, model, signal, batchChars, onProgress }
+// onProgress({ message, chunk, totalChunks, percent }) before each batch.
+// Resolves to { segments: [{ start, end, text }], untranslated } - one segment per line, untranslated lines as they were.
+export async function translateLines(llm, lines, { sourceName = null, targetName, targetLanguage, model, signal, batchChars = 2000, onProgress = () => {} }) {
+  const translated = lines.map(() => null);
+  const batches = buildTranslationBatches(lines, batchChars);
+  const promptOptions = { sourceName, targetName, targetLanguage };
+
+  const translateBatch = async (indexes) => {
+    const response = await llm.generate(buildTranslationPrompt(indexes.map(i => lines[i].text), promptOptions), {
+      model,
+      signal
+    });
+    const texts = parseTranslation(response, indexes.length);
+    indexes.forEach((lineIndex, i) => {
+      if (texts.has(i + 1)) translated[lineIndex] = texts.get(i + 1);
+    });
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    onProgress({
+      message: `Translating part ${i + 1}/${batches.length}...`,
+      chunk: i + 1,
+      totalChunks: batches.length,
+      percent: Math.round((i / batches.length) * 100)
+    });
+    await translateBatch(batches[i]);
+
+    // One more try for lines the model skipped or merged
+    const missing = batches[i].filter(lineIndex => translated[lineIndex] === null);
+    if (missing.length > 0) {
+      await translateBatch(missing);
+    }
+  }
+
+  const untranslated = translated.filter(text => text === null).length;
+  return {
+    segments: lines.map((line, i) => ({ start: line.start, end: line.end, text: translated[i] ?? line.text })),
+    untranslated
+  };
+}